@@ -1,7 +1,48 @@
 // components/TranscriptPopup.js
 import React, { useEffect } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Dimensions } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, ScrollView, Dimensions, Linking, Platform } from 'react-native';
 import { MaterialIcons } from '@expo/vector-icons';
+import { createLogger } from '../services/Logger';
+
+const log = createLogger('ui');
+
+const MONOSPACE_FONT = Platform.select({ ios: 'Menlo', default: 'monospace' });
+
+const openSource = (uri) => {
+  Linking.openURL(uri).catch(error => log.warn('TranscriptPopup: Unable to open source:', uri, error));
+};
+
+// Code the model ran, and the output it got back
+const CodeEntry = ({ message }) => {
+  const isResult = message.kind === 'codeResult';
+  const failed = isResult && message.outcome !== 'OUTCOME_OK';
+  const label = isResult
+    ? (failed ? `Execution failed (${message.outcome})` : 'Output')
+    : `Code (${(message.language || 'PYTHON').toLowerCase()})`;
+  return (
+    <View style={[styles.richBubble, failed && styles.failedBubble]}>
+      <Text style={styles.richLabel}>{label}</Text>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+        <Text style={[styles.codeText, isResult && styles.outputText]}>{message.text || '(no output)'}</Text>
+      </ScrollView>
+    </View>
+  );
+};
+
+// Google Search sources behind an answer; tapping one opens it in the browser
+const SourcesEntry = ({ message }) => (
+  <View style={styles.richBubble}>
+    <Text style={styles.richLabel}>Sources</Text>
+    {message.sources.map((source, index) => (
+      <TouchableOpacity key={source.uri} onPress={() => openSource(source.uri)} activeOpacity={0.6}>
+        <Text style={styles.sourceText} numberOfLines={1}>[{index + 1}] {source.title}</Text>
+      </TouchableOpacity>
+    ))}
+    {message.searchQueries.length > 0 && (
+      <Text style={styles.searchQueryText}>Searched: {message.searchQueries.join(', ')}</Text>
+    )}
+  </View>
+);
 
 const TranscriptPopup = ({ visible, onClose, transcripts = [] }) => {
   // Don't return null when not visible - instead manage visibility with style
@@ -9,7 +50,7 @@ const TranscriptPopup = ({ visible, onClose, transcripts = [] }) => {
   
   useEffect(() => {
     if (visible) {
-      console.log('TranscriptPopup visible with', transcripts.length, 'messages');
+      log.debug('TranscriptPopup visible with', transcripts.length, 'messages');
     }
   }, [visible, transcripts.length]);
   
@@ -38,24 +79,30 @@ const TranscriptPopup = ({ visible, onClose, transcripts = [] }) => {
         >
           {displayTranscripts.length > 0 ? (
             displayTranscripts.map((message) => (
-              <View 
-                key={message.id}
-                style={[
-                  styles.messageBubble, 
-                  message.type === 'user' ? styles.userBubble : styles.aiBubble,
-                  !message.isFinal && styles.interimBubble
-                ]}
-              >
-                <Text 
+              message.kind === 'code' || message.kind === 'codeResult' ? (
+                <CodeEntry key={message.id} message={message} />
+              ) : message.kind === 'sources' ? (
+                <SourcesEntry key={message.id} message={message} />
+              ) : (
+                <View 
+                  key={message.id}
                   style={[
-                    styles.messageText, 
-                    message.type === 'user' ? styles.userText : styles.aiText,
-                    !message.isFinal && styles.interimText
+                    styles.messageBubble, 
+                    message.type === 'user' ? styles.userBubble : styles.aiBubble,
+                    !message.isFinal && styles.interimBubble
                   ]}
                 >
-                  {message.text}
-                </Text>
-              </View>
+                  <Text 
+                    style={[
+                      styles.messageText, 
+                      message.type === 'user' ? styles.userText : styles.aiText,
+                      !message.isFinal && styles.interimText
+                    ]}
+                  >
+                    {message.text}
+                  </Text>
+                </View>
+              )
             ))
           ) : (
             <Text style={styles.emptyMessage}>No transcript messages yet. Start a conversation to see messages here.</Text>
@@ -161,6 +208,48 @@ const styles = StyleSheet.create({
     color: '#ccc',
     fontStyle: 'italic',
   },
+  richBubble: {
+    alignSelf: 'flex-start',
+    maxWidth: '90%',
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 16,
+    backgroundColor: '#1e1e1e',
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.12)',
+  },
+  failedBubble: {
+    borderColor: 'rgba(255, 99, 71, 0.6)',
+  },
+  richLabel: {
+    color: '#9e9e9e',
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: 0.5,
+    marginBottom: 6,
+  },
+  codeText: {
+    color: '#e0e0e0',
+    fontFamily: MONOSPACE_FONT,
+    fontSize: 13,
+    lineHeight: 19,
+  },
+  outputText: {
+    color: '#a5d6a7',
+  },
+  sourceText: {
+    color: '#64b5f6',
+    fontSize: 15,
+    lineHeight: 24,
+    textDecorationLine: 'underline',
+  },
+  searchQueryText: {
+    color: '#9e9e9e',
+    fontSize: 13,
+    fontStyle: 'italic',
+    marginTop: 6,
+  },
   emptyMessage: {
     textAlign: 'center',
     color: '#999',
@@ -1,10 +1,27 @@
 // config.js
 // Rule I: Configuration Management
 
-export const API_KEY = 'AAA'; // TODO: Replace with your actual API key (use secure storage)
-export const WEBSOCKET_HOST = 'generativelanguage.googleapis.com';
+// Development only: used when no credential provider is set (see services/CredentialService.js).
+// Do not ship a real key in the bundle; provide ephemeral tokens from your backend instead.
+export const API_KEY = 'AAA';
+// Set USE_DEV_SERVER to talk to the local stand-in server (npm run dev-server) instead of the real API.
+// On the Android emulator use '10.0.2.2:8765'; on a device use your computer's LAN address.
+export const USE_DEV_SERVER = false;
+export const DEV_SERVER_HOST = 'localhost:8765';
+export const WEBSOCKET_HOST = USE_DEV_SERVER ? DEV_SERVER_HOST : 'generativelanguage.googleapis.com';
+export const WEBSOCKET_SCHEME = USE_DEV_SERVER ? 'ws' : 'wss'; // The stand-in server has no TLS
 export const WEBSOCKET_PATH = '/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+export const WEBSOCKET_TOKEN_PATH = '/ws/google.ai.generativelanguage.v1alpha.GenerativeService.BidiGenerateContentConstrained'; // Ephemeral tokens
+// Set RELAY_URL to connect through your own relay (npm run relay) instead of directly; the relay holds the API key.
+// Use setTransport()/createRelayTransport() in services/Transport.js to add auth headers or subprotocols.
+export const RELAY_URL = null; // e.g. 'wss://relay.example.com/live'
 export const MODEL_NAME = 'models/gemini-2.0-flash-live-001'; // Or your desired model
+// Backend: 'aiStudio' (generativelanguage.googleapis.com with an API key or ephemeral token) or 'vertex'
+// (Vertex AI with an OAuth access token from a credential provider). Sessions can override it with the backend option.
+export const BACKEND = 'aiStudio';
+export const VERTEX_PROJECT = null;         // Google Cloud project id, required for 'vertex'
+export const VERTEX_LOCATION = 'us-central1'; // Region of the Vertex AI endpoint, or 'global'
+export const VERTEX_MODEL_NAME = 'gemini-2.0-flash-live-preview-04-09'; // Publisher model id, expanded to projects/.../models/...
 export const AUDIO_SAMPLE_RATE = 16000; // Hz - Ensure this matches the mimeType in WebSocketService
 export const AUDIO_CHANNELS = 1; // Mono
 export const AUDIO_BITS_PER_SAMPLE = 16; // PCM16
@@ -13,3 +30,53 @@ export const AUDIO_BITS_PER_SAMPLE = 16; // PCM16
 export const AEC_ENABLED = true; // Enable Acoustic Echo Cancellation
 export const AGC_ENABLED = true; // Enable Automatic Gain Control
 export const NS_ENABLED = true;  // Enable Noise Suppression
+
+// Reconnect configuration
+export const RECONNECT_MAX_ATTEMPTS = 5;      // Give up and report an error after this many retries
+export const RECONNECT_BASE_DELAY_MS = 500;   // First retry delay, doubled on every attempt
+export const RECONNECT_MAX_DELAY_MS = 10000;  // Upper bound for the backoff delay
+export const RECONNECT_AUDIO_BACKLOG_MS = 5000; // Microphone audio held while reconnecting (older audio is dropped)
+
+// Credential configuration
+export const CREDENTIAL_REFRESH_MARGIN_MS = 60000; // Refresh ephemeral tokens this long before they expire
+
+// Image/video frame input configuration
+export const VIDEO_MAX_FRAME_RATE = 1;    // Frames per second sent as realtimeInput.video (the Live API samples video at about 1 fps)
+export const VIDEO_MAX_DIMENSION = 768;   // Longest side in pixels; larger images are scaled down before sending
+export const VIDEO_JPEG_QUALITY = 0.7;    // 0-1, used when frames are re-encoded as JPEG
+
+// Usage cost estimate: USD per million tokens, by direction and modality.
+// Example rates for gemini-2.0-flash-live-001; check current pricing before relying on the numbers.
+export const USAGE_PRICE_TABLE = {
+  currency: 'USD',
+  input: { TEXT: 0.35, AUDIO: 2.10, IMAGE: 2.10, VIDEO: 2.10 },
+  output: { TEXT: 1.50, AUDIO: 8.50 },
+};
+
+// Conversation history configuration
+export const HISTORY_TOKEN_BUDGET = 8000; // Prior turns sent to a new session are trimmed to roughly this many tokens (oldest dropped first)
+
+// Protocol recording configuration (see services/ProtocolRecorder.js)
+export const PROTOCOL_RECORDING_ENABLED = false;              // Record each conversation started from the streaming screen
+export const PROTOCOL_RECORDING_MAX_BYTES = 50 * 1024 * 1024; // Frames past this size are not recorded (audio is roughly 100 KB per second of conversation)
+
+// Logging configuration (see services/Logger.js); levels are 'debug', 'info', 'warn', 'error' or 'silent'
+export const LOG_DEFAULT_LEVEL = 'info';
+export const LOG_NAMESPACE_LEVELS = {}; // Per namespace (ws, input, output, webrtc, ui), e.g. { ws: 'debug', output: 'warn' }
+export const LOG_SAMPLE_EVERY = 50;     // Hot-path logs (per audio chunk, per message) write one call in this many
+
+// Latency metrics configuration (see services/LatencyTracker.js)
+export const LATENCY_SAMPLE_WINDOW = 200;         // Latest measurements per metric used for percentiles
+export const LATENCY_SPEECH_RMS_THRESHOLD = 500;  // PCM16 RMS above which a microphone chunk counts as speech
+
+// Outgoing backpressure (see the send queue in services/GeminiLiveSession.js)
+export const SEND_HIGH_WATER_MARK_BYTES = 64 * 1024; // Above this much unsent socket data, audio and video are queued (about 1.5 s of audio)
+export const SEND_LOW_WATER_MARK_BYTES = 16 * 1024;  // Queued media is sent once the socket buffer drains below this
+export const SEND_MAX_QUEUED_AUDIO_MS = 1000;         // Older queued audio is dropped, keeping input latency bounded
+export const SEND_DRAIN_INTERVAL_MS = 50;             // How often the socket buffer is checked while congested
+// Where the socket does not report bufferedAmount (React Native), unsent data is estimated from what was
+// sent and this uplink rate. Audio alone needs about 45 KB/s; images add about 100 KB per frame.
+export const SEND_ESTIMATED_UPLINK_BYTES_PER_SEC = 256 * 1024;
+
+// Microphone frames (32 ms each) are sent together, one message per window; 0 sends every frame on its own
+export const AUDIO_AGGREGATION_MS = 100;
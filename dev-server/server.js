@@ -0,0 +1,424 @@
+// dev-server/server.js
+// Local stand-in for the Gemini Live API (BidiGenerateContent), for offline development and tests
+//
+// Usage: node dev-server/server.js [--port 8765] [--scenario basic]
+// Scenarios are JSON files in dev-server/scenarios (or a path to one); see README.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+
+const DEFAULT_PORT = 8765;
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const OUTPUT_SAMPLE_RATE = 24000; // The real API answers with 24kHz PCM
+const DEFAULT_CHUNK_MS = 100;
+const DEFAULT_SPEECH_THRESHOLD = 800; // RMS of 16-bit samples above which input counts as speech
+const DEFAULT_SILENCE_MS = 800;
+
+// Client message keys accepted after setup, and the realtimeInput fields
+const CLIENT_MESSAGE_KEYS = ['realtimeInput', 'clientContent', 'toolResponse'];
+const REALTIME_INPUT_KEYS = ['audio', 'video', 'text', 'activityStart', 'activityEnd', 'audioStreamEnd', 'mediaChunks'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const loadScenario = (nameOrPath) => {
+  const file = fs.existsSync(nameOrPath) ? nameOrPath : path.join(SCENARIO_DIR, `${nameOrPath}.json`);
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(scenario.turns)) {
+    throw new Error(`Scenario ${file} must have a "turns" array`);
+  }
+  return scenario;
+};
+
+// Sine tone as 16-bit little-endian PCM, so replies are audible without audio fixtures
+const generateTone = (durationMs, frequency) => {
+  const samples = Math.round(OUTPUT_SAMPLE_RATE * durationMs / 1000);
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const sample = Math.sin(2 * Math.PI * frequency * i / OUTPUT_SAMPLE_RATE) * 0.3 * 32767;
+    buffer.writeInt16LE(Math.round(sample), i * 2);
+  }
+  return buffer;
+};
+
+const rms = (base64Pcm) => {
+  const bytes = Buffer.from(base64Pcm, 'base64');
+  const samples = Math.floor(bytes.length / 2);
+  if (samples === 0) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples; i++) {
+    const sample = bytes.readInt16LE(i * 2);
+    sum += sample * sample;
+  }
+  return Math.sqrt(sum / samples);
+};
+
+/**
+ * One client connection. Plays scenario turns when their trigger happens:
+ *   on: 'setup'        right after setupComplete
+ *   on: 'userTurn'     (default) when the user finishes speaking or sends clientContent with turnComplete
+ *   on: 'toolResponse' when the client answers a toolCall
+ */
+class StandInSession {
+  constructor(socket, scenario, resumeStore) {
+    this.socket = socket;
+    this.scenario = scenario;
+    this.resumeStore = resumeStore; // handle -> turn index, shared across connections
+    this.setup = null;
+    this.turnIndex = 0;
+    this.handle = null;
+    this.playback = null;
+    this.speaking = false;
+    this.lastSpeechAt = 0;
+    this.audioChunksReceived = 0;
+    this.videoFramesReceived = 0;
+    this.closeTimer = null;
+  }
+
+  isOpen() {
+    return this.socket.readyState === this.socket.OPEN;
+  }
+
+  send(message) {
+    if (this.isOpen()) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  close(code, reason) {
+    console.log(`🔌 Closing connection: ${code} ${reason}`);
+    this.cancelPlayback();
+    this.socket.close(code, reason);
+  }
+
+  isTextMode() {
+    return (this.setup?.generationConfig?.responseModalities || []).includes('TEXT');
+  }
+
+  isManualActivity() {
+    return this.setup?.realtimeInputConfig?.automaticActivityDetection?.disabled === true;
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      this.close(1007, 'Invalid JSON payload');
+      return;
+    }
+
+    if (!this.setup) {
+      if (!message.setup) {
+        this.close(1007, 'The first message must be setup');
+        return;
+      }
+      this.handleSetup(message.setup);
+      return;
+    }
+
+    const keys = Object.keys(message);
+    if (keys.length !== 1 || !CLIENT_MESSAGE_KEYS.includes(keys[0])) {
+      this.close(1007, `Unexpected client message: ${keys.join(', ')}`);
+      return;
+    }
+
+    if (message.realtimeInput) this.handleRealtimeInput(message.realtimeInput);
+    if (message.clientContent) this.handleClientContent(message.clientContent);
+    if (message.toolResponse) this.handleToolResponse(message.toolResponse);
+  }
+
+  handleSetup(setup) {
+    if (!setup.model) {
+      this.close(1007, 'setup.model is required');
+      return;
+    }
+    this.setup = setup;
+
+    const resumeHandle = setup.sessionResumption?.handle;
+    if (resumeHandle && this.resumeStore.has(resumeHandle)) {
+      this.turnIndex = this.resumeStore.get(resumeHandle);
+      console.log(`🔁 Resumed session at turn ${this.turnIndex}`);
+    }
+
+    console.log(`🤖 Setup for ${setup.model} (${this.isTextMode() ? 'TEXT' : 'AUDIO'} replies${this.isManualActivity() ? ', push-to-talk' : ''})`);
+    this.send({ setupComplete: {} });
+    if (setup.sessionResumption) {
+      this.handle = crypto.randomUUID();
+      this.saveResumePoint();
+    }
+    this.trigger('setup');
+  }
+
+  saveResumePoint() {
+    if (!this.handle) return;
+    this.resumeStore.set(this.handle, this.turnIndex);
+    this.send({ sessionResumptionUpdate: { newHandle: this.handle, resumable: true } });
+  }
+
+  handleRealtimeInput(input) {
+    const keys = Object.keys(input);
+    const unknown = keys.filter(key => !REALTIME_INPUT_KEYS.includes(key));
+    if (unknown.length > 0) {
+      this.close(1007, `Unknown realtimeInput field(s): ${unknown.join(', ')}`);
+      return;
+    }
+
+    if (input.audio) {
+      this.audioChunksReceived++;
+      if (!this.isManualActivity()) this.detectSpeech(input.audio.data);
+    }
+    if (input.video) {
+      this.videoFramesReceived++;
+      console.log(`🖼️ Received ${input.video.mimeType} frame #${this.videoFramesReceived}`);
+    }
+    if (input.activityStart) this.userSpeechStarted();
+    if (input.activityEnd) this.userTurnEnded();
+    if (input.audioStreamEnd && this.speaking) {
+      // The stream paused mid-utterance: treat what was said as the whole turn
+      this.speaking = false;
+      this.userTurnEnded();
+    }
+    if (input.text) this.userTurnEnded();
+  }
+
+  // Energy-based stand-in for server-side voice activity detection
+  detectSpeech(base64Pcm) {
+    const threshold = this.scenario.speechThreshold || DEFAULT_SPEECH_THRESHOLD;
+    const silenceMs = this.setup.realtimeInputConfig?.automaticActivityDetection?.silenceDurationMs
+      || this.scenario.silenceMs || DEFAULT_SILENCE_MS;
+    const now = Date.now();
+
+    if (rms(base64Pcm) >= threshold) {
+      if (!this.speaking) {
+        this.speaking = true;
+        this.userSpeechStarted();
+      }
+      this.lastSpeechAt = now;
+    } else if (this.speaking && now - this.lastSpeechAt >= silenceMs) {
+      this.speaking = false;
+      this.userTurnEnded();
+    }
+  }
+
+  userSpeechStarted() {
+    console.log('🎙️ User started speaking');
+    // Barge-in: new user speech cuts off the reply in progress
+    if (this.playback && this.setup.realtimeInputConfig?.activityHandling !== 'NO_INTERRUPTION') {
+      this.cancelPlayback();
+      this.send({ serverContent: { interrupted: true } });
+    }
+  }
+
+  userTurnEnded() {
+    console.log('🎙️ User turn ended');
+    this.trigger('userTurn');
+  }
+
+  handleClientContent(content) {
+    const turns = content.turns || [];
+    console.log(`💬 clientContent with ${turns.length} turn(s), turnComplete: ${content.turnComplete === true}`);
+    if (content.turnComplete) {
+      this.trigger('userTurn');
+    }
+  }
+
+  handleToolResponse(toolResponse) {
+    const names = (toolResponse.functionResponses || []).map(response => response.name);
+    console.log(`🛠️ toolResponse for: ${names.join(', ')}`);
+    this.trigger('toolResponse');
+  }
+
+  // Plays the next scenario turn if it is waiting for this trigger
+  trigger(event) {
+    if (this.turnIndex >= this.scenario.turns.length && this.scenario.loop) {
+      this.turnIndex = this.scenario.turns.findIndex(turn => (turn.on || 'userTurn') === 'userTurn');
+      if (this.turnIndex < 0) this.turnIndex = this.scenario.turns.length;
+    }
+    const turn = this.scenario.turns[this.turnIndex];
+    if (!turn || (turn.on || 'userTurn') !== event) {
+      if (!turn && event !== 'setup') console.log('📜 Scenario finished, ignoring input');
+      return;
+    }
+    this.turnIndex++;
+    this.play(turn.steps || []);
+  }
+
+  cancelPlayback() {
+    if (this.playback) {
+      this.playback.cancelled = true;
+      this.playback = null;
+    }
+  }
+
+  async play(steps) {
+    this.cancelPlayback();
+    const playback = { cancelled: false };
+    this.playback = playback;
+
+    for (const step of steps) {
+      if (step.delayMs) await delay(step.delayMs);
+      if (playback.cancelled || !this.isOpen()) return;
+      await this.runStep(step, playback);
+    }
+    if (this.playback === playback) {
+      this.playback = null;
+      this.saveResumePoint();
+    }
+  }
+
+  async runStep(step, playback) {
+    switch (step.type) {
+      case 'inputTranscription':
+        this.send({ serverContent: { inputTranscription: { text: step.text } } });
+        break;
+
+      case 'reply':
+        await this.sendReply(step, playback);
+        break;
+
+      case 'text':
+        this.send({ serverContent: { modelTurn: { parts: [{ text: step.text }] } } });
+        break;
+
+      case 'interrupted':
+        this.send({ serverContent: { interrupted: true } });
+        break;
+
+      case 'turnComplete': {
+        const message = { serverContent: { turnComplete: true } };
+        if (step.usageMetadata) message.usageMetadata = step.usageMetadata;
+        this.send(message);
+        break;
+      }
+
+      case 'toolCall': {
+        const functionCalls = (step.functionCalls || []).map(call => ({ id: call.id || crypto.randomUUID(), ...call }));
+        this.send({ toolCall: { functionCalls } });
+        if (step.cancelAfterMs) {
+          await delay(step.cancelAfterMs);
+          if (!playback.cancelled) {
+            this.send({ toolCallCancellation: { ids: functionCalls.map(call => call.id) } });
+          }
+        }
+        break;
+      }
+
+      case 'goAway': {
+        const timeLeftMs = step.timeLeftMs ?? 5000;
+        this.send({ goAway: { timeLeft: `${timeLeftMs / 1000}s` } });
+        clearTimeout(this.closeTimer);
+        this.closeTimer = setTimeout(() => this.close(1000, 'Session ended after GoAway'), timeLeftMs);
+        break;
+      }
+
+      case 'close':
+        this.close(step.code || 1011, step.reason || 'Scripted close');
+        break;
+
+      case 'raw':
+        this.send(step.message);
+        break;
+
+      case 'wait':
+        await delay(step.ms || 0);
+        break;
+
+      default:
+        console.warn(`⚠️ Unknown scenario step type: ${step.type}`);
+    }
+  }
+
+  // Model reply: text parts in TEXT mode, otherwise audio chunks with output transcription
+  async sendReply({ text, durationMs, frequency = 440, chunkMs = DEFAULT_CHUNK_MS }, playback) {
+    if (this.isTextMode()) {
+      const words = text.split(' ');
+      for (let i = 0; i < words.length; i += 4) {
+        if (playback.cancelled) return;
+        const chunk = words.slice(i, i + 4).join(' ') + (i + 4 < words.length ? ' ' : '');
+        this.send({ serverContent: { modelTurn: { parts: [{ text: chunk }] } } });
+        await delay(chunkMs);
+      }
+      return;
+    }
+
+    // About 60ms of speech per character unless the scenario sets a duration
+    const pcm = generateTone(durationMs || Math.max(500, text.length * 60), frequency);
+    const chunkBytes = Math.round(OUTPUT_SAMPLE_RATE * chunkMs / 1000) * 2;
+    this.send({ serverContent: { outputTranscription: { text } } });
+    for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+      if (playback.cancelled) return;
+      this.send({
+        serverContent: {
+          modelTurn: {
+            parts: [{ inlineData: { mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`, data: pcm.subarray(offset, offset + chunkBytes).toString('base64') } }],
+          },
+        },
+      });
+      await delay(chunkMs); // Stream in real time so barge-in can be tested
+    }
+  }
+
+  dispose() {
+    this.cancelPlayback();
+    clearTimeout(this.closeTimer);
+    console.log(`📊 Connection summary: ${this.audioChunksReceived} audio chunks, ${this.videoFramesReceived} video frames, reached turn ${this.turnIndex}`);
+  }
+}
+
+/**
+ * Starts the stand-in server.
+ * @param {Object} [options]
+ * @param {number} [options.port=8765] - 0 picks a free port
+ * @param {string|Object} [options.scenario='basic'] - Scenario name, file path, or scenario object
+ * @returns {Promise<{port: number, close: Function}>}
+ */
+const startDevServer = ({ port = DEFAULT_PORT, scenario = 'basic' } = {}) => new Promise((resolve, reject) => {
+  const loadedScenario = typeof scenario === 'string' ? loadScenario(scenario) : scenario;
+  const resumeStore = new Map();
+  const server = new WebSocketServer({ port });
+
+  server.on('connection', (socket, request) => {
+    const url = new URL(request.url, 'ws://localhost');
+    // AI Studio sends a key or token in the query, Vertex AI a bearer token header
+    if (!url.searchParams.get('key') && !url.searchParams.get('access_token') && !/^Bearer \S/.test(request.headers.authorization || '')) {
+      socket.close(1008, 'Missing key, access_token or bearer token');
+      return;
+    }
+    console.log(`🔗 Client connected on ${url.pathname}`);
+    const session = new StandInSession(socket, loadedScenario, resumeStore);
+    socket.on('message', raw => session.handleMessage(raw));
+    socket.on('close', () => session.dispose());
+  });
+
+  server.once('listening', () => {
+    const address = server.address();
+    console.log(`🧪 Gemini Live stand-in listening on ws://localhost:${address.port} (scenario: ${loadedScenario.name || scenario})`);
+    resolve({
+      port: address.port,
+      close: () => new Promise((done) => {
+        server.clients.forEach(client => client.terminate());
+        server.close(done);
+      }),
+    });
+  });
+  server.once('error', reject);
+});
+
+module.exports = { startDevServer, loadScenario };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+  startDevServer({
+    port: Number(option('port', process.env.PORT || DEFAULT_PORT)),
+    scenario: option('scenario', process.env.SCENARIO || 'basic'),
+  }).catch((error) => {
+    console.error('Failed to start the stand-in server:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,289 @@
+// relay-server/server.js
+// Reference relay between the app and the Gemini Live API: authenticates the app, adds the real API key,
+// applies a model policy and forwards frames in both directions
+//
+// Usage: GEMINI_API_KEY=... RELAY_APP_TOKENS=token1,token2 node relay-server/server.js [--port 8080]
+// Point the app at it with RELAY_URL in config.js; see README.
+
+const { WebSocket, WebSocketServer } = require('ws');
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_PATH = '/live';
+const DEFAULT_UPSTREAM_URL = 'wss://generativelanguage.googleapis.com/ws/google.ai.generativelanguage.v1beta.GenerativeService.BidiGenerateContent';
+const MAX_PENDING_BYTES = 1024 * 1024; // Client frames held while the upstream connection opens
+const BEARER_PROTOCOL_PREFIX = 'bearer.'; // Subprotocol form of the app token, for clients that cannot set headers
+
+// Close codes an endpoint may send; others (1005, 1006, 1015) only describe what happened locally
+const isSendableCloseCode = (code) => code === 1000 || (code >= 1001 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+
+const MAX_CLOSE_REASON_BYTES = 123; // WebSocket limit on close reasons, counted in UTF-8 bytes
+
+// Cuts text to a number of UTF-8 bytes without splitting a character
+const truncateUtf8 = (text, maxBytes) => {
+  let bytes = 0;
+  let end = 0;
+  for (const char of text) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > maxBytes) break;
+    end += char.length;
+  }
+  return text.slice(0, end);
+};
+
+// Close reasons must fit the limit and never carry the key
+const safeReason = (reason) => truncateUtf8(String(reason || '').replace(/([?&]key=)[^&\s]+/gi, '$1[REDACTED]'), MAX_CLOSE_REASON_BYTES);
+
+// The app token from "Authorization: Bearer <token>" or a "bearer.<token>" subprotocol
+const readAppToken = (request) => {
+  const header = request.headers.authorization || '';
+  if (header.startsWith('Bearer ')) {
+    return { token: header.slice('Bearer '.length).trim() };
+  }
+  const protocols = (request.headers['sec-websocket-protocol'] || '').split(',').map(value => value.trim());
+  const protocol = protocols.find(value => value.startsWith(BEARER_PROTOCOL_PREFIX));
+  return protocol ? { token: protocol.slice(BEARER_PROTOCOL_PREFIX.length), protocol } : { token: null };
+};
+
+// Default authentication: a fixed list of app tokens; replace with a call to your session store
+const createTokenAuthenticator = (tokens) => async (token) => (token && tokens.includes(token) ? { id: `token-${tokens.indexOf(token) + 1}` } : null);
+
+/**
+ * One app connection and its upstream Live API connection.
+ * Client frames are held until the upstream socket opens; the first one must be a setup message
+ * that passes the model policy. After that frames pass through unparsed.
+ */
+class RelayConnection {
+  constructor(client, { identity, upstreamUrl, upstreamHeaders, apiKey, allowedModels, connectionId }) {
+    this.client = client;
+    this.identity = identity;
+    this.allowedModels = allowedModels;
+    this.label = `#${connectionId} ${identity.id}`;
+    this.startedAt = Date.now();
+    this.pending = [];
+    this.pendingBytes = 0;
+    this.setupChecked = false;
+    this.closed = false;
+    this.stats = { toUpstream: { frames: 0, bytes: 0 }, toClient: { frames: 0, bytes: 0 } };
+    this.upstream = null;
+
+    // Listening right away: the app sends setup as soon as its socket opens
+    client.on('message', (data, isBinary) => this.handleClientFrame(data, isBinary));
+    client.on('close', (code, reason) => this.close(this.upstream, code, reason.toString(), 'client'));
+    client.on('error', (error) => {
+      console.error(`❌ ${this.label}: Client error: ${error.message}`);
+    });
+
+    this.openUpstream({ upstreamUrl, upstreamHeaders, apiKey });
+  }
+
+  async openUpstream({ upstreamUrl, upstreamHeaders, apiKey }) {
+    let headers = null;
+    if (upstreamHeaders) {
+      try {
+        headers = await upstreamHeaders();
+      } catch (error) {
+        console.error(`❌ ${this.label}: Unable to get upstream credentials: ${error.message}`);
+        this.close(this.client, 1011, 'Upstream credentials unavailable', 'relay');
+        return;
+      }
+    }
+    if (this.closed) return;
+
+    // Vertex AI takes a bearer token header instead of a key
+    this.upstream = headers
+      ? new WebSocket(upstreamUrl, { headers })
+      : new WebSocket(`${upstreamUrl}?key=${encodeURIComponent(apiKey)}`);
+    this.upstream.on('open', () => this.flushPending());
+    this.upstream.on('message', (data, isBinary) => this.forwardToClient(data, isBinary));
+    this.upstream.on('close', (code, reason) => this.close(this.client, code, reason.toString(), 'upstream'));
+    this.upstream.on('error', (error) => {
+      console.error(`❌ ${this.label}: Upstream error: ${safeReason(error.message)}`);
+    });
+  }
+
+  handleClientFrame(data, isBinary) {
+    // Frames can still arrive after a policy rejection while the client socket closes
+    if (this.closed) return;
+    if (!this.setupChecked) {
+      const rejection = this.checkSetup(data);
+      if (rejection) {
+        console.warn(`🚫 ${this.label}: ${rejection}`);
+        this.close(this.upstream, 1008, rejection, 'policy');
+        return;
+      }
+      this.setupChecked = true;
+    }
+
+    if (this.upstream?.readyState !== WebSocket.OPEN) {
+      this.pendingBytes += data.length;
+      if (this.pendingBytes > MAX_PENDING_BYTES) {
+        this.close(this.upstream, 1011, 'Upstream not ready', 'relay');
+        return;
+      }
+      this.pending.push({ data, isBinary });
+      return;
+    }
+    this.forwardToUpstream(data, isBinary);
+  }
+
+  // Policy on the setup message; returns a reason to reject the connection, or null
+  checkSetup(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return 'The first message must be JSON';
+    }
+    const model = message?.setup?.model;
+    if (!model) {
+      return 'The first message must be setup with a model';
+    }
+    if (this.allowedModels && !this.allowedModels.includes(model)) {
+      return `Model ${model} is not allowed`;
+    }
+    console.log(`🧩 ${this.label}: Setup for ${model}`);
+    return null;
+  }
+
+  flushPending() {
+    this.pending.forEach(({ data, isBinary }) => this.forwardToUpstream(data, isBinary));
+    this.pending = [];
+    this.pendingBytes = 0;
+  }
+
+  forwardToUpstream(data, isBinary) {
+    this.stats.toUpstream.frames++;
+    this.stats.toUpstream.bytes += data.length;
+    this.upstream.send(data, { binary: isBinary });
+  }
+
+  forwardToClient(data, isBinary) {
+    if (this.client.readyState !== WebSocket.OPEN) return;
+    this.stats.toClient.frames++;
+    this.stats.toClient.bytes += data.length;
+    this.client.send(data, { binary: isBinary });
+  }
+
+  // Closes the other side with the same code where the protocol allows it, so the app sees the server's reason
+  close(socket, code, reason, by) {
+    if (this.closed) return;
+    this.closed = true;
+    // No status (1005) is a normal close; abnormal ones (1006) are reported as an error
+    const closeCode = isSendableCloseCode(code) ? code : (code === 1005 ? 1000 : 1011);
+    if (socket?.readyState === WebSocket.CONNECTING) {
+      socket.terminate();
+    } else if (socket?.readyState === WebSocket.OPEN) {
+      socket.close(closeCode, safeReason(reason));
+    }
+    // Closing the upstream side (client gone, or a policy or relay error): make sure the app is told too
+    if (socket !== this.client && this.client.readyState === WebSocket.OPEN) {
+      this.client.close(closeCode, safeReason(reason));
+    }
+    const { toUpstream, toClient } = this.stats;
+    console.log(`📊 ${this.label}: Closed by ${by} (${code}${reason ? ` ${safeReason(reason)}` : ''}) after ${Math.round((Date.now() - this.startedAt) / 1000)}s, `
+      + `${toUpstream.frames} frames / ${toUpstream.bytes} bytes up, ${toClient.frames} frames / ${toClient.bytes} bytes down`);
+  }
+}
+
+/**
+ * Starts the relay.
+ * @param {Object} options
+ * @param {string} [options.apiKey] - The Gemini API key; it never reaches the app
+ * @param {Function} [options.upstreamHeaders] - async () => headers for each upstream connection, used instead of
+ *   the key, e.g. () => ({ Authorization: `Bearer ${accessToken}` }) for Vertex AI
+ * @param {Function} [options.authenticate] - async (token, request) => identity ({ id }) or null to reject
+ * @param {string[]} [options.appTokens] - Accepted app tokens, used when no authenticate function is given
+ * @param {string[]} [options.allowedModels] - Models the app may request; any model when omitted
+ * @param {number} [options.port=8080] - 0 picks a free port
+ * @param {string} [options.path='/live']
+ * @param {string} [options.upstreamUrl] - Live API endpoint without query, e.g. the dev-server for local tests
+ * @returns {Promise<{port: number, close: Function}>}
+ */
+const startRelay = ({
+  apiKey,
+  upstreamHeaders,
+  authenticate,
+  appTokens = [],
+  allowedModels,
+  port = DEFAULT_PORT,
+  path = DEFAULT_PATH,
+  upstreamUrl = DEFAULT_UPSTREAM_URL,
+} = {}) => new Promise((resolve, reject) => {
+  if (!apiKey && !upstreamHeaders) {
+    reject(new Error('The relay needs an API key (GEMINI_API_KEY) or upstream headers'));
+    return;
+  }
+  if (!authenticate && appTokens.length === 0) {
+    reject(new Error('The relay needs app tokens (RELAY_APP_TOKENS) or an authenticate function'));
+    return;
+  }
+  const checkToken = authenticate || createTokenAuthenticator(appTokens);
+  let connectionCount = 0;
+
+  const server = new WebSocketServer({
+    port,
+    path,
+    // Rejected before the upgrade, so unauthenticated clients never reach the Live API
+    verifyClient: ({ req }, done) => {
+      const { token } = readAppToken(req);
+      Promise.resolve(checkToken(token, req))
+        .then((identity) => {
+          if (!identity) {
+            console.warn(`🚫 Rejected connection from ${req.socket.remoteAddress}: invalid or missing app token`);
+            done(false, 401, 'Unauthorized');
+            return;
+          }
+          req.relayIdentity = identity;
+          done(true);
+        })
+        .catch((error) => {
+          console.error('❌ Authentication failed:', error.message);
+          done(false, 500, 'Authentication error');
+        });
+    },
+    // A client that authenticated with a subprotocol expects it to be accepted
+    handleProtocols: (protocols, req) => readAppToken(req).protocol || false,
+  });
+
+  server.on('connection', (client, req) => {
+    connectionCount++;
+    const identity = req.relayIdentity;
+    console.log(`🔗 #${connectionCount} ${identity.id}: Connected from ${req.socket.remoteAddress}`);
+    new RelayConnection(client, { identity, upstreamUrl, upstreamHeaders, apiKey, allowedModels, connectionId: connectionCount });
+  });
+
+  server.once('listening', () => {
+    const address = server.address();
+    console.log(`🔀 Live API relay listening on ws://localhost:${address.port}${path} -> ${upstreamUrl}`);
+    resolve({
+      port: address.port,
+      close: () => new Promise((done) => {
+        server.clients.forEach(client => client.terminate());
+        server.close(done);
+      }),
+    });
+  });
+  server.once('error', reject);
+});
+
+module.exports = { startRelay };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+  };
+  const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined);
+  startRelay({
+    apiKey: process.env.GEMINI_API_KEY,
+    appTokens: list(process.env.RELAY_APP_TOKENS),
+    allowedModels: list(process.env.RELAY_ALLOWED_MODELS),
+    port: Number(option('port', process.env.PORT || DEFAULT_PORT)),
+    path: option('path', process.env.RELAY_PATH || DEFAULT_PATH),
+    upstreamUrl: option('upstream', process.env.RELAY_UPSTREAM_URL || DEFAULT_UPSTREAM_URL),
+  }).catch((error) => {
+    console.error('Failed to start the relay:', error.message);
+    process.exit(1);
+  });
+}
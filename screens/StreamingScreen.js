@@ -2,13 +2,27 @@
 // Rule VI: Main UI Screen
 
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { View, Text, TouchableOpacity, StyleSheet, SafeAreaView, ActivityIndicator, Alert, StatusBar } from 'react-native';
+import { View, Text, TouchableOpacity, StyleSheet, SafeAreaView, ActivityIndicator, Alert, StatusBar, ScrollView } from 'react-native';
 import TranscriptPopup from '../components/TranscriptPopup';
 import { MaterialIcons } from '@expo/vector-icons';
 import WebSocketService from '../services/WebSocketService';
 import AudioInputService from '../services/AudioInputService';
 import AudioOutputService from '../services/AudioOutputService';
+import VideoInputService from '../services/VideoInputService';
+import ConversationHistory from '../services/ConversationHistory';
 import PermissionsService from '../services/PermissionsService';
+import { VAD_PROFILES } from '../services/SessionConfig';
+import { createLogger } from '../services/Logger';
+import { PROTOCOL_RECORDING_ENABLED } from '../config';
+
+const log = createLogger('ui');
+
+// Listening profiles offered in the UI, in toggle order
+const VAD_PROFILE_LABELS = {
+  standard: 'Standard',
+  patientListener: 'Patient',
+  snappy: 'Snappy',
+};
 
 const StreamingScreen = () => {
   const [isConnected, setIsConnected] = useState(false);
@@ -20,6 +34,20 @@ const StreamingScreen = () => {
   const [serverSpeaking, setServerSpeaking] = useState(false);
   const [permissionGranted, setPermissionGranted] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
+  const [isReconnecting, setIsReconnecting] = useState(false);
+  // 'audio' plays spoken replies, 'text' streams written replies on screen
+  const [replyMode, setReplyMode] = useState('audio');
+  const [modelReply, setModelReply] = useState('');
+  // 'continuous' streams the mic and lets the server detect speech, 'pushToTalk' sends audio only while the talk button is held
+  const [inputMode, setInputMode] = useState('continuous');
+  const [isTalking, setIsTalking] = useState(false);
+  // Voice activity profile; can be changed during a conversation
+  const [vadProfile, setVadProfile] = useState('standard');
+  // Google Search grounding and code execution; off by default since they add latency and cost
+  const [builtInToolsEnabled, setBuiltInToolsEnabled] = useState(false);
+  const [isSendingImage, setIsSendingImage] = useState(false);
+  // Running token total and estimated cost of the current conversation
+  const [usageTotals, setUsageTotals] = useState(null);
   const [transcript, setTranscript] = useState('');
   const [isFinalTranscript, setIsFinalTranscript] = useState(false);
   // Track current turn IDs to group messages
@@ -28,6 +56,13 @@ const StreamingScreen = () => {
   // Use refs to access latest turn IDs in callbacks
   const currentUserTurnIdRef = useRef(null);
   const currentModelTurnIdRef = useRef(null);
+  // Set on turn complete so the next text chunk starts a fresh on-screen reply
+  const modelReplyCompleteRef = useRef(false);
+  // Code and source entries in the transcript: id counter, and the sources entry of the current turn
+  const richEntryCounterRef = useRef(0);
+  const currentSourcesIdRef = useRef(null);
+  // Where the current conversation starts in transcriptHistory, so only its turns are saved on Stop
+  const conversationStartRef = useRef(0);
   
   // Create background dots only once when component mounts
   const backgroundDots = useMemo(() => {
@@ -94,107 +129,192 @@ const StreamingScreen = () => {
     currentModelTurnIdRef.current = currentModelTurnId;
   }, [currentModelTurnId]);
 
-  // Transcript callback
-  useEffect(() => {
-    console.log('StreamingScreen: Setting up transcript callback');
-    WebSocketService.setOnTranscriptCallback(({ text, isFinal, type }) => {
-      console.log('StreamingScreen: Received transcript:', text, 'isFinal:', isFinal, 'type:', type);
-      setTranscript(text);
-      setIsFinalTranscript(isFinal);
-      
-      // Add or update bubble in transcript history
-      if (text && text.trim()) {
-        setTranscriptHistory(prev => {
-          // For user messages
-          if (type === 'user') {
-            // Get current ID from ref to avoid closure issues
-            const currentId = currentUserTurnIdRef.current;
-            
-            // If we don't have a current user turn or the last turn was final, create a new one
-            if (currentId === null || (prev.length > 0 && prev.find(msg => msg.id === currentId)?.isFinal)) {
-              const newId = Date.now();
-              // Update both state and ref
-              setCurrentUserTurnId(newId);
-              currentUserTurnIdRef.current = newId;
-              
-              const entry = { text, isFinal, type, id: newId };
-              console.log('Adding new user transcript entry:', entry);
-              return [...prev, entry];
-            }
+  // Add or update the bubble for the current user/model turn in transcript history
+  const addToTranscriptHistory = useCallback(({ text, isFinal, type }) => {
+    if (text && text.trim()) {
+      setTranscriptHistory(prev => {
+        // For user messages
+        if (type === 'user') {
+          // Get current ID from ref to avoid closure issues
+          const currentId = currentUserTurnIdRef.current;
+          
+          // If we don't have a current user turn or the last turn was final, create a new one
+          if (currentId === null || (prev.length > 0 && prev.find(msg => msg.id === currentId)?.isFinal)) {
+            const newId = Date.now();
+            // Update both state and ref
+            setCurrentUserTurnId(newId);
+            currentUserTurnIdRef.current = newId;
             
-            // Otherwise update the current user turn by APPENDING text, not replacing
-            console.log('Updating existing user transcript:', currentId);
-            return prev.map(msg => {
-              if (msg.id === currentId) {
-                // Append new text to existing text instead of replacing
-                return { 
-                  ...msg, 
-                  text: msg.text + text, 
-                  isFinal 
-                };
-              }
-              return msg;
-            });
+            const entry = { text, isFinal, type, id: newId };
+            log.debug('Adding new user transcript entry:', entry);
+            return [...prev, entry];
           }
           
-          // For model messages
-          if (type === 'model') {
-            // Get current ID from ref to avoid closure issues
-            const currentId = currentModelTurnIdRef.current;
-            
-            // If we don't have a current model turn or the last turn was final, create a new one
-            if (currentId === null || (prev.length > 0 && prev.find(msg => msg.id === currentId)?.isFinal)) {
-              const newId = Date.now();
-              // Update both state and ref
-              setCurrentModelTurnId(newId);
-              currentModelTurnIdRef.current = newId;
-              
-              const entry = { text, isFinal, type, id: newId };
-              console.log('Adding new model transcript entry:', entry);
-              return [...prev, entry];
+          // Otherwise update the current user turn by APPENDING text, not replacing
+          log.debug('Updating existing user transcript:', currentId);
+          return prev.map(msg => {
+            if (msg.id === currentId) {
+              // Append new text to existing text instead of replacing
+              return { 
+                ...msg, 
+                text: msg.text + text, 
+                isFinal 
+              };
             }
+            return msg;
+          });
+        }
+        
+        // For model messages
+        if (type === 'model') {
+          // Get current ID from ref to avoid closure issues
+          const currentId = currentModelTurnIdRef.current;
+          
+          // If we don't have a current model turn or the last turn was final, create a new one
+          if (currentId === null || (prev.length > 0 && prev.find(msg => msg.id === currentId)?.isFinal)) {
+            const newId = Date.now();
+            // Update both state and ref
+            setCurrentModelTurnId(newId);
+            currentModelTurnIdRef.current = newId;
             
-            // Otherwise update the current model turn by APPENDING text, not replacing
-            console.log('Updating existing model transcript:', currentId);
-            return prev.map(msg => {
-              if (msg.id === currentId) {
-                // Append new text to existing text instead of replacing
-                return { 
-                  ...msg, 
-                  text: msg.text + text, 
-                  isFinal 
-                };
-              }
-              return msg;
-            });
+            const entry = { text, isFinal, type, id: newId };
+            log.debug('Adding new model transcript entry:', entry);
+            return [...prev, entry];
           }
           
-          // Fallback (shouldn't happen)
-          const entry = { text, isFinal, type, id: Date.now() };
-          console.log('Adding fallback transcript entry:', entry);
-          return [...prev, entry];
-        });
-      }
+          // Otherwise update the current model turn by APPENDING text, not replacing
+          log.debug('Updating existing model transcript:', currentId);
+          return prev.map(msg => {
+            if (msg.id === currentId) {
+              // Append new text to existing text instead of replacing
+              return { 
+                ...msg, 
+                text: msg.text + text, 
+                isFinal 
+              };
+            }
+            return msg;
+          });
+        }
+        
+        // Fallback (shouldn't happen)
+        const entry = { text, isFinal, type, id: Date.now() };
+        log.debug('Adding fallback transcript entry:', entry);
+        return [...prev, entry];
+      });
+    }
+  }, []);
+
+  // Code blocks, execution output and sources get their own transcript entries;
+  // model text that follows continues in a new bubble below them
+  const addRichTranscriptEntry = useCallback((entry) => {
+    const id = `rich-${++richEntryCounterRef.current}`;
+    const splitId = currentModelTurnIdRef.current;
+    currentModelTurnIdRef.current = null;
+    setCurrentModelTurnId(null);
+    setTranscriptHistory(prev => [
+      ...prev.map(msg => (msg.id === splitId ? { ...msg, isFinal: true } : msg)),
+      { ...entry, id, type: 'model', isFinal: true },
+    ]);
+    return id;
+  }, []);
+
+  // Built-in tool callbacks: code execution and Google Search sources
+  useEffect(() => {
+    const unsubscribers = [
+      WebSocketService.on('codeExecution', (event) => {
+        if (event.type === 'code') {
+          addRichTranscriptEntry({ kind: 'code', language: event.language, text: event.code });
+        } else {
+          addRichTranscriptEntry({ kind: 'codeResult', outcome: event.outcome, text: event.output });
+        }
+      }),
+      WebSocketService.on('grounding', ({ sources, searchQueries }) => {
+        const sourcesId = currentSourcesIdRef.current;
+        if (!sourcesId) {
+          currentSourcesIdRef.current = addRichTranscriptEntry({ kind: 'sources', sources, searchQueries, text: '' });
+          return;
+        }
+        // The server can send grounding more than once per turn; merge into one list
+        setTranscriptHistory(prev => prev.map((msg) => {
+          if (msg.id !== sourcesId) return msg;
+          const knownUris = new Set(msg.sources.map(source => source.uri));
+          return {
+            ...msg,
+            sources: [...msg.sources, ...sources.filter(source => !knownUris.has(source.uri))],
+            searchQueries: Array.from(new Set([...msg.searchQueries, ...searchQueries])),
+          };
+        }));
+      }),
+    ];
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+  }, [addRichTranscriptEntry]);
+
+  // Transcript callback
+  useEffect(() => {
+    log.info('StreamingScreen: Setting up transcript callback');
+    const unsubscribe = WebSocketService.on('transcript', ({ text, isFinal, type }) => {
+      log.debug('StreamingScreen: Received transcript:', text, 'isFinal:', isFinal, 'type:', type);
+      setTranscript(text);
+      setIsFinalTranscript(isFinal);
+      
+      addToTranscriptHistory({ text, isFinal, type });
     });
     // Optional: cleanup
     return () => {
-      console.log('StreamingScreen: Cleaning up transcript callback');
-      WebSocketService.setOnTranscriptCallback(null);
+      log.info('StreamingScreen: Cleaning up transcript callback');
+      unsubscribe();
     };
+  }, [addToTranscriptHistory]);
+
+  // Text reply callback (text response mode): stream the reply on screen and into the transcript
+  useEffect(() => {
+    const unsubscribe = WebSocketService.on('text', ({ text }) => {
+      const startsNewReply = modelReplyCompleteRef.current;
+      modelReplyCompleteRef.current = false;
+      setModelReply(prev => (startsNewReply ? text : prev + text));
+      addToTranscriptHistory({ text, isFinal: false, type: 'model' });
+    });
+    return unsubscribe;
+  }, [addToTranscriptHistory]);
+
+  // Usage callback: keep the running total; it stays visible after the conversation ends
+  useEffect(() => {
+    const unsubscribe = WebSocketService.on('usage', ({ totals, currency }) => {
+      setUsageTotals({ totalTokens: totals.totalTokens, estimatedCost: totals.estimatedCost, currency });
+    });
+    return unsubscribe;
   }, []);
 
-  const handleStatusUpdate = useCallback((status) => {
-    console.log('UI: WebSocket status update:', status);
+  const handleStatusUpdate = useCallback((status, details) => {
+    log.info('UI: WebSocket status update:', status);
     setIsLoading(false);
+    setIsReconnecting(status === 'reconnecting');
     
     switch (status) {
       case 'connected':
         setIsConnected(true);
         setStatusMessage('Connected. Ready to record.');
         break;
+      case 'reconnecting':
+        // Keep recording: AudioInputService holds a backlog until the socket is back
+        setStatusMessage(`Reconnecting… (attempt ${details?.attempt}/${details?.maxAttempts})`);
+        break;
+      case 'reconnected':
+        setIsConnected(true);
+        setStatusMessage('Reconnected. Conversation active.');
+        break;
+      case 'refreshing':
+        // The server sent GoAway or the listening profile changed; a replacement connection is being opened in the background
+        setStatusMessage(details?.reason === 'vadProfile' ? 'Applying listening profile…' : 'Refreshing session…');
+        break;
+      case 'refreshed':
+        setStatusMessage('Session refreshed. Conversation active.');
+        break;
       case 'disconnected':
         setIsConnected(false);
         setIsRecording(false); // Cannot record if not connected
+        setIsTalking(false);
         setStatusMessage('Disconnected');
         setServerSpeaking(false);
         AudioInputService.stopRecording(); // Ensure recording stops
@@ -203,10 +323,12 @@ const StreamingScreen = () => {
       case 'error':
         setIsConnected(false);
         setIsRecording(false);
+        setIsTalking(false);
         setStatusMessage('Connection Error. Please try again.');
         setServerSpeaking(false);
         AudioInputService.stopRecording();
         AudioOutputService.clearPlaybackQueue();
+        // Only reached once every reconnect attempt has failed
         Alert.alert('Connection Error', 'Failed to connect to the audio service. Please try again.');
         break;
       default:
@@ -216,7 +338,7 @@ const StreamingScreen = () => {
   }, []);
 
   const handleError = useCallback((errorMsg) => {
-    console.error('UI: WebSocket error:', errorMsg);
+    log.error('UI: WebSocket error:', errorMsg);
     setStatusMessage(`Error: ${errorMsg}`);
     setIsConnected(false);
     setIsRecording(false);
@@ -228,16 +350,18 @@ const StreamingScreen = () => {
   }, []);
 
   const handleInterruption = useCallback(() => {
-    console.log('UI: Received interruption signal.');
+    log.info('UI: Received interruption signal.');
     setStatusMessage('Server interrupted.');
     setServerSpeaking(false);
     AudioOutputService.clearPlaybackQueue();
   }, []);
 
   const handleTurnComplete = useCallback(() => {
-    console.log('UI: Received turn complete signal.');
+    log.info('UI: Received turn complete signal.');
     setStatusMessage('Server turn complete.');
     setServerSpeaking(false);
+    modelReplyCompleteRef.current = true;
+    currentSourcesIdRef.current = null;
     
     // Mark current model turn as final when turn is complete
     if (currentModelTurnIdRef.current) {
@@ -256,7 +380,7 @@ const StreamingScreen = () => {
   // --- Effect Hook for Setup/Cleanup --- START ---
   // Effect to automatically start recording when connected
   useEffect(() => {
-    console.log('StreamingScreen: Connection state changed:', isConnected);
+    log.info('StreamingScreen: Connection state changed:', isConnected);
     if (isConnected) {
       startRecordingIfConnected();
     } else {
@@ -281,7 +405,7 @@ const StreamingScreen = () => {
         setIsLoading(false);
         
         if (success) {
-          setStatusMessage('Conversation active. Speak now!');
+          setStatusMessage(inputMode === 'pushToTalk' ? 'Conversation active. Hold to talk.' : 'Conversation active. Speak now!');
         } else {
           setStatusMessage('Connected, but audio capture failed.');
           Alert.alert('Audio Error', 'Failed to start audio capture. Please try again.');
@@ -294,28 +418,26 @@ const StreamingScreen = () => {
   };
 
   useEffect(() => {
-    // Set callbacks for WebSocketService
-    WebSocketService.setOnMessageCallback(handleWebSocketMessage);
-    WebSocketService.setOnStatusUpdateCallback(handleStatusUpdate);
-    WebSocketService.setOnErrorCallback(handleError);
-    WebSocketService.setOnInterruptionCallback(handleInterruption);
-    WebSocketService.setOnTurnCompleteCallback(handleTurnComplete);
+    // Subscribe to WebSocketService events
+    const unsubscribers = [
+      WebSocketService.on('audio', handleWebSocketMessage),
+      WebSocketService.on('status', handleStatusUpdate),
+      WebSocketService.on('error', handleError),
+      WebSocketService.on('interruption', handleInterruption),
+      WebSocketService.on('turnComplete', handleTurnComplete),
+    ];
     
     // Check for microphone permission on startup
     requestPermission();
     
     // Cleanup function when component unmounts
     return () => {
-      console.log('UI: Cleaning up StreamingScreen...');
+      log.info('UI: Cleaning up StreamingScreen...');
       WebSocketService.disconnect(); // Disconnect WebSocket
       AudioInputService.stopRecording(); // Stop recording if active
       AudioOutputService.clearPlaybackQueue(); // Clear audio queue
-      // Clear callbacks to prevent memory leaks
-      WebSocketService.setOnMessageCallback(null);
-      WebSocketService.setOnStatusUpdateCallback(null);
-      WebSocketService.setOnErrorCallback(null);
-      WebSocketService.setOnInterruptionCallback(null);
-      WebSocketService.setOnTurnCompleteCallback(null);
+      // Unsubscribe to prevent memory leaks
+      unsubscribers.forEach(unsubscribe => unsubscribe());
     };
     // Run only once on mount
   }, [handleWebSocketMessage, handleStatusUpdate, handleError, handleInterruption, handleTurnComplete]);
@@ -338,17 +460,70 @@ const StreamingScreen = () => {
       setIsMuted(false);
       AudioInputService.setMuted(false);
     } else {
-      // Mute
+      // Mute; this also ends the current utterance so the model can reply
       setIsMuted(true);
+      setIsTalking(false);
       AudioInputService.setMuted(true);
     }
   };
   
+  // Switch between spoken and written replies; applies to the next conversation
+  const handleReplyModeToggle = () => {
+    setReplyMode(prev => (prev === 'audio' ? 'text' : 'audio'));
+  };
+
+  // Switch between continuous listening and push-to-talk; applies to the next conversation
+  const handleInputModeToggle = () => {
+    setInputMode(prev => (prev === 'continuous' ? 'pushToTalk' : 'continuous'));
+  };
+
+  // Turn Google Search and code execution on or off; applies to the next conversation
+  const handleBuiltInToolsToggle = () => {
+    setBuiltInToolsEnabled(prev => !prev);
+  };
+
+  // Cycle the listening profile; a running conversation switches over without losing context
+  const handleVadProfileToggle = () => {
+    const names = Object.keys(VAD_PROFILE_LABELS);
+    const next = names[(names.indexOf(vadProfile) + 1) % names.length];
+    if (isConnected && !WebSocketService.applyVadProfile(next)) {
+      setStatusMessage('The listening profile can be changed once the conversation can be resumed. Try again in a moment.');
+      return;
+    }
+    setVadProfile(next);
+  };
+
+  // Push-to-talk: audio is only sent while the button is held
+  const handleTalkPressIn = () => {
+    if (AudioInputService.startTalking()) {
+      setIsTalking(true);
+      setStatusMessage('Listening…');
+    }
+  };
+
+  const handleTalkPressOut = () => {
+    setIsTalking(false);
+    // Muting or backgrounding the app may already have ended the utterance
+    if (!AudioInputService.isTalking()) return;
+    AudioInputService.stopTalking();
+    setStatusMessage('Waiting for reply…');
+  };
+
+  // Share a photo with the model; the user can then ask about it by voice
+  const handleSendPhoto = async () => {
+    setIsSendingImage(true);
+    const sent = await VideoInputService.pickAndSendImage();
+    setIsSendingImage(false);
+    if (sent) {
+      setStatusMessage('Photo shared. Ask about it!');
+    }
+  };
+
   // Toggle transcript visibility - no sample messages
   const handleTranscriptToggle = () => {
     // Simply toggle visibility
     setIsTranscriptVisible(prev => !prev);
-    console.log('Transcript visibility toggled:', !isTranscriptVisible);
+    log.info('Transcript visibility toggled:', !isTranscriptVisible);
   };
   
   // Single function to handle toggling conversation state
@@ -366,8 +541,26 @@ const StreamingScreen = () => {
         return;
       }
       
-      // 2. Connect to WebSocket
-      WebSocketService.connect();
+      // 2. Connect to WebSocket, resuming the previous conversation if the connection dropped.
+      //    A new session is seeded with the turns saved from earlier conversations.
+      const history = await ConversationHistory.loadHistory();
+      conversationStartRef.current = transcriptHistory.length;
+      setModelReply('');
+      setUsageTotals(null);
+      AudioInputService.setPushToTalk(inputMode === 'pushToTalk');
+      if (PROTOCOL_RECORDING_ENABLED) {
+        WebSocketService.startProtocolRecording({ label: `conversation ${new Date().toLocaleString()}` });
+      }
+      WebSocketService.connect({
+        resume: true,
+        session: {
+          responseModalities: [replyMode === 'text' ? 'TEXT' : 'AUDIO'],
+          pushToTalk: inputMode === 'pushToTalk',
+          realtimeInputConfig: VAD_PROFILES[vadProfile],
+          builtInTools: { googleSearch: builtInToolsEnabled, codeExecution: builtInToolsEnabled },
+        },
+        history,
+      });
       
       // The useEffect with the isConnected dependency will handle starting recording
     } else {
@@ -381,16 +574,30 @@ const StreamingScreen = () => {
         setIsRecording(false);
       }
       setIsMuted(false); // Reset mute state on stop
+      setIsTalking(false);
       
+      VideoInputService.stopImageSequence();
+
       // 2. Stop WebRTC audio processing
       const WebRTCAudioService = require('../services/WebRTCAudioService').default;
       if (WebRTCAudioService.isProcessingActive()) {
         await WebRTCAudioService.stopAudioProcessing();
-        console.log('StreamingScreen: WebRTC audio processing stopped');
+        log.info('StreamingScreen: WebRTC audio processing stopped');
       }
       
-      // 3. Disconnect WebSocket
+      // 3. Disconnect WebSocket and forget the session so the next Start is a fresh conversation
       WebSocketService.disconnect(); 
+      WebSocketService.clearSessionHandle();
+      if (WebSocketService.isProtocolRecording()) {
+        WebSocketService.stopProtocolRecording();
+      }
+
+      // 4. Save this conversation's turns so the next session can pick up from here
+      const conversationTurns = transcriptHistory
+        .slice(conversationStartRef.current)
+        .filter(msg => !msg.kind)
+        .map(msg => ({ role: msg.type, text: msg.text }));
+      ConversationHistory.appendHistory(conversationTurns);
       // This will trigger the status update callback which handles cleanup
       
       setServerSpeaking(false);
@@ -411,16 +618,88 @@ const StreamingScreen = () => {
         <View style={styles.container}>
         <Text style={styles.title}>Live Audio Streaming</Text>
 
-        {/* Log transcript state but don't display on main screen */}
-        {console.log('StreamingScreen render - transcript state:', transcript ? transcript.substring(0, 20) + '...' : 'empty')}
-
         <View style={styles.statusContainer}>
           <Text style={styles.statusText}>Status: {statusMessage}</Text>
           {serverSpeaking && <Text style={styles.speakingText}>Server Speaking...</Text>}
+          {isReconnecting && <ActivityIndicator size="small" color="#FFC107" style={styles.loader} />}
           {isLoading && <ActivityIndicator size="small" color="#4CAF50" style={styles.loader} />}
+          {usageTotals && (
+            <Text style={styles.usageText}>
+              {usageTotals.totalTokens.toLocaleString()} tokens · est. {usageTotals.currency === 'USD' ? '$' : `${usageTotals.currency} `}{usageTotals.estimatedCost.toFixed(4)}
+            </Text>
+          )}
         </View>
 
+        {/* Reply mode, input mode and built-in tools are fixed for the duration of a session */}
+        <View style={styles.modeToggleRow}>
+          <TouchableOpacity
+            style={[styles.replyModeToggle, isConnected && styles.replyModeToggleDisabled]}
+            onPress={handleReplyModeToggle}
+            disabled={isConnected || isLoading}
+            activeOpacity={0.7}
+          >
+            <MaterialIcons name={replyMode === 'audio' ? 'volume-up' : 'text-fields'} size={20} color="#ffffff" />
+            <Text style={styles.replyModeText}>{replyMode === 'audio' ? 'Audio replies' : 'Text replies'}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.replyModeToggle, isConnected && styles.replyModeToggleDisabled]}
+            onPress={handleInputModeToggle}
+            disabled={isConnected || isLoading}
+            activeOpacity={0.7}
+          >
+            <MaterialIcons name={inputMode === 'continuous' ? 'hearing' : 'touch-app'} size={20} color="#ffffff" />
+            <Text style={styles.replyModeText}>{inputMode === 'continuous' ? 'Hands-free' : 'Push to talk'}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.replyModeToggle, isConnected && styles.replyModeToggleDisabled]}
+            onPress={handleBuiltInToolsToggle}
+            disabled={isConnected || isLoading}
+            activeOpacity={0.7}
+          >
+            <MaterialIcons name={builtInToolsEnabled ? 'search' : 'search-off'} size={20} color="#ffffff" />
+            <Text style={styles.replyModeText}>{builtInToolsEnabled ? 'Search & code on' : 'Search & code off'}</Text>
+          </TouchableOpacity>
+
+          {/* Listening profile - only meaningful while the server detects speech */}
+          {inputMode === 'continuous' && (
+            <TouchableOpacity
+              style={styles.replyModeToggle}
+              onPress={handleVadProfileToggle}
+              disabled={isLoading}
+              activeOpacity={0.7}
+            >
+              <MaterialIcons name="timer" size={20} color="#ffffff" />
+              <Text style={styles.replyModeText}>{VAD_PROFILE_LABELS[vadProfile]}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        {/* Streaming text reply in text response mode */}
+        {replyMode === 'text' && modelReply !== '' && (
+          <ScrollView style={styles.replyContainer} contentContainerStyle={styles.replyContent}>
+            <Text style={styles.replyText}>{modelReply}</Text>
+          </ScrollView>
+        )}
+
         <View style={styles.buttonContainer}>
+          {/* Hold-to-talk button in push-to-talk mode */}
+          {isConnected && isRecording && inputMode === 'pushToTalk' && (
+            <TouchableOpacity
+              style={[styles.talkButton, isTalking && styles.talkButtonActive]}
+              onPressIn={handleTalkPressIn}
+              onPressOut={handleTalkPressOut}
+              disabled={isLoading || isMuted}
+              activeOpacity={0.8}
+            >
+              <MaterialIcons name="mic" size={28} color={isTalking ? '#121212' : '#ffffff'} />
+              <Text style={[styles.talkButtonText, isTalking && styles.talkButtonTextActive]}>
+                {isTalking ? 'Release to send' : 'Hold to talk'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
           <View style={styles.buttonRow}>
             {/* Main Start/Stop button centered */}
             <View style={styles.mainButtonContainer}>
@@ -438,6 +717,18 @@ const StreamingScreen = () => {
             {/* Secondary buttons positioned at 1/3 and 2/3 of right half */}
             {isConnected && (
               <>
+                {/* Photo button on the left of the main button */}
+                <TouchableOpacity
+                  style={[styles.secondaryButton, styles.photoButton]}
+                  onPress={handleSendPhoto}
+                  disabled={isLoading || isSendingImage}
+                  activeOpacity={0.7}
+                >
+                  {isSendingImage
+                    ? <ActivityIndicator size="small" color="#ffffff" />
+                    : <MaterialIcons name="photo" size={28} color="#ffffff" />}
+                </TouchableOpacity>
+
                 {/* Transcript button at 1/3 from center to right edge */}
                 <TouchableOpacity
                   style={[styles.secondaryButton, styles.transcriptButton]}
@@ -533,6 +824,9 @@ const styles = StyleSheet.create({
   muteButton: {
     left: '85%', // Position at 2/3 of the distance from center to right edge
   },
+  photoButton: {
+    left: '10%',
+  },
   backgroundTexture: {
     position: 'absolute',
     top: 0,
@@ -624,6 +918,74 @@ const styles = StyleSheet.create({
   loader: {
     marginTop: 10,
   },
+  usageText: {
+    fontSize: 13,
+    color: '#9e9e9e',
+    marginTop: 6,
+  },
+  modeToggleRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    gap: 12,
+  },
+  replyModeToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 20,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    borderWidth: 1,
+    borderColor: 'rgba(255,255,255,0.15)',
+  },
+  replyModeToggleDisabled: {
+    opacity: 0.5,
+  },
+  replyModeText: {
+    color: '#ffffff',
+    fontSize: 14,
+    marginLeft: 8,
+  },
+  replyContainer: {
+    maxHeight: 220,
+    width: '100%',
+    marginTop: 20,
+    borderRadius: 16,
+    backgroundColor: 'rgba(48, 48, 48, 0.8)',
+  },
+  replyContent: {
+    padding: 16,
+  },
+  replyText: {
+    color: '#ffffff',
+    fontSize: 17,
+    lineHeight: 24,
+  },
+  talkButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 14,
+    paddingHorizontal: 28,
+    marginBottom: 40,
+    borderRadius: 32,
+    backgroundColor: 'rgba(0,0,0,0.25)',
+    borderWidth: 2,
+    borderColor: 'rgba(76, 175, 80, 0.8)',
+  },
+  talkButtonActive: {
+    backgroundColor: '#4CAF50',
+  },
+  talkButtonText: {
+    color: '#ffffff',
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginLeft: 10,
+  },
+  talkButtonTextActive: {
+    color: '#121212',
+  },
   // All transcript content styles have been moved to TranscriptPopup component
 });
 
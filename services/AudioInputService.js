@@ -1,23 +1,41 @@
 // services/AudioInputService.js
 // Rule III: Audio Input Service
 
-import { AUDIO_SAMPLE_RATE, AUDIO_CHANNELS, AUDIO_BITS_PER_SAMPLE, AEC_ENABLED } from '../config';
+import { AUDIO_SAMPLE_RATE, AUDIO_CHANNELS, AUDIO_BITS_PER_SAMPLE, AEC_ENABLED, RECONNECT_AUDIO_BACKLOG_MS, AUDIO_AGGREGATION_MS } from '../config';
 import WebSocketService from './WebSocketService';
 import PermissionsService from './PermissionsService';
 import { VoiceProcessor } from '@picovoice/react-native-voice-processor';
-import { Buffer } from 'buffer';
 import InCallManager from 'react-native-incall-manager';
-import { Platform } from 'react-native';
+import { Platform, AppState } from 'react-native';
 import WebRTCAudioService from './WebRTCAudioService';
+import { createLogger } from './Logger';
+
+const log = createLogger('input');
 
 // State variables
 let isRecording = false;
 let isMuted = false; // New mute state flag
+let isPushToTalk = false; // Only forward frames while the talk button is held
+let isTalking = false;
+let isInBackground = false; // Frames are not forwarded while the app is in the background
+let appStateSubscription = null;
 let recordingBuffer = [];
+let recordingBufferSamples = 0; // Samples held in recordingBuffer
 let frameListener = null;
 let errorListener = null;
 let isInCallManagerInitialized = false;
 
+// Frames captured per VoiceProcessor callback, and how many samples fit in the reconnect backlog.
+// The backlog holds single frames and whole batches, so it is bounded by samples, not entries.
+const FRAME_LENGTH = 512;
+const MAX_BUFFERED_SAMPLES = Math.ceil((RECONNECT_AUDIO_BACKLOG_MS / 1000) * AUDIO_SAMPLE_RATE);
+
+// Frames are concatenated into one realtimeInput message per aggregation window.
+// The batch buffer is allocated once and reused; it only grows if the window grows.
+let aggregationSamples = Math.floor(AUDIO_AGGREGATION_MS * AUDIO_SAMPLE_RATE / 1000);
+let batch = new Int16Array(0);
+let batchLength = 0; // Samples currently in the batch
+
 // Get the singleton instance of VoiceProcessor
 const voiceProcessor = VoiceProcessor.instance;
 
@@ -28,25 +46,25 @@ const voiceProcessor = VoiceProcessor.instance;
  */
 const initializeInCallManager = async () => {
   if (isInCallManagerInitialized) {
-    console.log('AudioInputService: InCallManager already initialized');
+    log.info('AudioInputService: InCallManager already initialized');
     return true;
   }
   
   // Check if InCallManager is actually available
   if (!InCallManager) {
-    console.log('AudioInputService: InCallManager not available, will rely on native AEC');
+    log.info('AudioInputService: InCallManager not available, will rely on native AEC');
     return false;
   }
   
   try {
-    console.log('AudioInputService: Initializing InCallManager for AEC...');
+    log.info('AudioInputService: Initializing InCallManager for AEC...');
     
     // Add small delay to ensure device is ready
     await new Promise(resolve => setTimeout(resolve, 500));
     
     // Double-check that InCallManager is still available after the delay
     if (!InCallManager || typeof InCallManager.start !== 'function') {
-      console.warn('AudioInputService: InCallManager not available after delay');
+      log.warn('AudioInputService: InCallManager not available after delay');
       return false;
     }
     
@@ -70,15 +88,15 @@ const initializeInCallManager = async () => {
     // Verify that InCallManager is available and force speaker mode
     if (InCallManager && typeof InCallManager.setForceSpeakerphoneOn === 'function') {
       InCallManager.setForceSpeakerphoneOn(true);
-      console.log('AudioInputService: Speaker mode forced on');
+      log.info('AudioInputService: Speaker mode forced on');
       isInCallManagerInitialized = true;
       return true;
     } else {
-      console.warn('AudioInputService: Unable to force speaker mode - method not available');
+      log.warn('AudioInputService: Unable to force speaker mode - method not available');
       return false;
     }
   } catch (error) {
-    console.error('AudioInputService: Error initializing InCallManager:', error);
+    log.error('AudioInputService: Error initializing InCallManager:', error);
     return false;
   }
 };
@@ -89,40 +107,40 @@ const initializeVoiceProcessor = async () => {
     // Request recording permissions
     const permissionsGranted = await PermissionsService.requestMicrophonePermission();
     if (!permissionsGranted) {
-      console.error('AudioInputService: Recording permissions not granted');
+      log.error('AudioInputService: Recording permissions not granted');
       return false;
     }
     
-    console.log('AudioInputService: Initializing voice processor...');
+    log.info('AudioInputService: Initializing voice processor...');
     
     // Enable Acoustic Echo Cancellation (AEC) and other audio processing
     if (AEC_ENABLED) {
       // First try using WebRTC for superior AEC implementation
-      console.log('AudioInputService: Initializing WebRTC-based AEC...');
+      log.info('AudioInputService: Initializing WebRTC-based AEC...');
       const webrtcSuccess = await WebRTCAudioService.initialize();
       
       if (webrtcSuccess) {
         await WebRTCAudioService.startAudioProcessing();
         if (WebRTCAudioService.isProcessingActive()) {
-          console.log('AudioInputService: WebRTC AEC activated successfully');
+          log.info('AudioInputService: WebRTC AEC activated successfully');
         } else {
-          console.warn('AudioInputService: WebRTC AEC initialization failed, falling back to InCallManager');
+          log.warn('AudioInputService: WebRTC AEC initialization failed, falling back to InCallManager');
           // Fall back to InCallManager
           const aecSuccess = await initializeInCallManager();
           if (aecSuccess) {
-            console.log('AudioInputService: Fallback AEC enabled with speaker mode');
+            log.info('AudioInputService: Fallback AEC enabled with speaker mode');
           } else {
-            console.warn('AudioInputService: All AEC methods failed - will continue without echo cancellation');
+            log.warn('AudioInputService: All AEC methods failed - will continue without echo cancellation');
           }
         }
       } else {
-        console.warn('AudioInputService: WebRTC AEC initialization failed, falling back to InCallManager');
+        log.warn('AudioInputService: WebRTC AEC initialization failed, falling back to InCallManager');
         // Fall back to InCallManager
         const aecSuccess = await initializeInCallManager();
         if (aecSuccess) {
-          console.log('AudioInputService: Fallback AEC enabled with speaker mode');
+          log.info('AudioInputService: Fallback AEC enabled with speaker mode');
         } else {
-          console.warn('AudioInputService: All AEC methods failed - will continue without echo cancellation');
+          log.warn('AudioInputService: All AEC methods failed - will continue without echo cancellation');
         }
       }
     }
@@ -141,50 +159,57 @@ const initializeVoiceProcessor = async () => {
     // Set up frame processing callback
     frameListener = (frame) => {
       // Frame is an array of 16-bit integers (PCM samples)
-      const audioData = new Int16Array(frame).buffer;
-      
-      // Log data for debugging
-      // console.log(` of ${audioData.byteLength} bytes`);
+      log.sample('frame').debug(`AudioInputService: Captured frame of ${frame.length} samples`);
       
+      // In push-to-talk mode frames outside a held button are dropped
+      if ((isPushToTalk && !isTalking) || isInBackground) {
+        return;
+      }
+
       // Only send audio if not muted
       if (!isMuted) {
         // Send to WebSocket if connection is ready
         if (WebSocketService.isConnected() && WebSocketService.isSetupComplete()) {
-          WebSocketService.sendAudioChunk(audioData);
+          // The button may have been pressed before the connection was ready
+          if (isPushToTalk && !WebSocketService.isActivityActive()) {
+            WebSocketService.sendActivityStart();
+          }
+          // Flush audio captured while the connection was (re)establishing, in order
+          sendBufferedAudio();
+          appendToBatch(frame);
         } else {
-          console.log('AudioInputService: WebSocket not ready, buffering audio');
-          recordingBuffer.push(audioData);
-          
-          // Prevent buffer from growing too large
-          if (recordingBuffer.length > 10) {
-            recordingBuffer.shift();
+          if (recordingBuffer.length === 0) {
+            log.info('AudioInputService: WebSocket not ready, buffering audio');
           }
+          // Frames batched before the connection dropped go ahead of this one
+          moveBatchToBacklog();
+          addToBacklog(new Int16Array(frame).buffer);
         }
       } else {
-        // console.log('AudioInputService: Audio captured but muted - not sending');
+        log.sample('mutedFrame').debug('AudioInputService: Audio captured but muted - not sending');
       }
     };
     
     // Set up error listener
     errorListener = (error) => {
-      console.error('AudioInputService: Voice processor error:', error);
+      log.error('AudioInputService: Voice processor error:', error);
     };
     
     // Add the listeners
     voiceProcessor.addFrameListener(frameListener);
     voiceProcessor.addErrorListener(errorListener);
     
-    console.log('AudioInputService: Voice processor initialized successfully');
+    log.info('AudioInputService: Voice processor initialized successfully');
     return true;
   } catch (err) {
-    console.error('AudioInputService: Failed to initialize voice processor:', err);
+    log.error('AudioInputService: Failed to initialize voice processor:', err);
     return false;
   }
 };
 
 const startRecording = async () => {
   if (isRecording) {
-    console.log('AudioInputService: Already recording');
+    log.info('AudioInputService: Already recording');
     return true;
   }
 
@@ -192,35 +217,37 @@ const startRecording = async () => {
     // Initialize voice processor if needed
     await initializeVoiceProcessor();
     
-    console.log('AudioInputService: Starting voice processing...');
+    log.info('AudioInputService: Starting voice processing...');
     
     // Check if we have permission
     if (await voiceProcessor.hasRecordAudioPermission()) {
       // Start capturing audio with specific frame length
-      const frameLength = 512; // Number of samples per frame
-      await voiceProcessor.start(frameLength, AUDIO_SAMPLE_RATE);
+      await voiceProcessor.start(FRAME_LENGTH, AUDIO_SAMPLE_RATE);
       
       isRecording = true;
-      console.log('🗣️⛮AudioInputService: Voice processing started at', AUDIO_SAMPLE_RATE, 'Hz');
+      isInBackground = false;
+      appStateSubscription?.remove();
+      appStateSubscription = AppState.addEventListener('change', handleAppStateChange);
+      log.info('🗣️⛮AudioInputService: Voice processing started at', AUDIO_SAMPLE_RATE, 'Hz');
       return true;
     } else {
-      console.error('AudioInputService: No recording permission');
+      log.error('AudioInputService: No recording permission');
       return false;
     }
   } catch (err) {
-    console.error('AudioInputService: Failed to start voice processing:', err);
+    log.error('AudioInputService: Failed to start voice processing:', err);
     return false;
   }
 };
 
 const stopRecording = async () => {
   if (!isRecording) {
-    console.log('AudioInputService: Not recording');
+    log.info('AudioInputService: Not recording');
     return;
   }
 
   try {
-    console.log('AudioInputService: Stopping voice processing...');
+    log.info('AudioInputService: Stopping voice processing...');
     
     // Stop capturing audio
     await voiceProcessor.stop();
@@ -234,56 +261,206 @@ const stopRecording = async () => {
       voiceProcessor.removeErrorListener(errorListener);
     }
     
-    // Clear buffer
-    recordingBuffer = [];
+    // Let the server finish the current utterance, then clear buffer
+    endAudioStream();
+    clearBacklog();
+    batchLength = 0;
+
+    appStateSubscription?.remove();
+    appStateSubscription = null;
+    isInBackground = false;
     
     isRecording = false;
     isMuted = false; // Reset mute state when stopping recording
-    console.log('AudioInputService: Voice processing stopped');
+    log.info('AudioInputService: Voice processing stopped');
     
     // We now stop WebRTC AEC here to ensure microphone is fully released
     // This is a change from previous behavior where we kept AEC active
     if (WebRTCAudioService.isProcessingActive()) {
       try {
         await WebRTCAudioService.stopAudioProcessing();
-        console.log('AudioInputService: WebRTC AEC stopped with recording');
+        log.info('AudioInputService: WebRTC AEC stopped with recording');
       } catch (aecErr) {
-        console.error('AudioInputService: Error stopping WebRTC AEC:', aecErr);
+        log.error('AudioInputService: Error stopping WebRTC AEC:', aecErr);
       }
     }
   } catch (err) {
-    console.error('AudioInputService: Error stopping voice processing:', err);
+    log.error('AudioInputService: Error stopping voice processing:', err);
+  }
+};
+
+// --- Frame batching --- START ---
+
+/**
+ * Sets how much audio is collected before it is sent as one message. Whole frames are batched,
+ * up to the window; 0 sends every frame on its own. Activity boundaries (talk button released,
+ * mute, stop) always send the batch straight away.
+ * @param {number} windowMs - e.g. 60-200
+ * @returns {boolean} - False if the window is invalid
+ */
+const setAggregationWindow = (windowMs) => {
+  if (typeof windowMs !== 'number' || !(windowMs >= 0) || windowMs > 1000) {
+    log.error('AudioInputService: Aggregation window must be between 0 and 1000 ms');
+    return false;
+  }
+  flushBatch();
+  aggregationSamples = Math.floor(windowMs * AUDIO_SAMPLE_RATE / 1000);
+  log.info(`AudioInputService: Aggregation window set to ${windowMs}ms`);
+  return true;
+};
+
+const appendToBatch = (frame) => {
+  const needed = batchLength + frame.length;
+  if (needed > batch.length) {
+    const grown = new Int16Array(Math.max(needed, aggregationSamples));
+    grown.set(batch.subarray(0, batchLength));
+    batch = grown;
+  }
+  batch.set(frame, batchLength);
+  batchLength = needed;
+
+  // Send before the next frame would overshoot the window
+  if (batchLength + frame.length > aggregationSamples) {
+    flushBatch();
   }
 };
 
+// Sends the batch; the session encodes it synchronously, so the buffer can be reused right after
+const flushBatch = () => {
+  if (batchLength === 0) return;
+  if (WebSocketService.isConnected() && WebSocketService.isSetupComplete()) {
+    WebSocketService.sendAudioChunk(batch.subarray(0, batchLength));
+    batchLength = 0;
+  } else {
+    moveBatchToBacklog();
+  }
+};
+
+// The connection went away mid-batch: keep the audio for after reconnecting
+const moveBatchToBacklog = () => {
+  if (batchLength === 0) return;
+  addToBacklog(batch.slice(0, batchLength).buffer);
+  batchLength = 0;
+};
+
+// Keeps the backlog bounded by dropping the oldest audio
+const addToBacklog = (audioBuffer) => {
+  recordingBuffer.push(audioBuffer);
+  recordingBufferSamples += audioBuffer.byteLength / 2;
+  while (recordingBufferSamples > MAX_BUFFERED_SAMPLES && recordingBuffer.length > 1) {
+    recordingBufferSamples -= recordingBuffer.shift().byteLength / 2;
+  }
+};
+
+const clearBacklog = () => {
+  recordingBuffer = [];
+  recordingBufferSamples = 0;
+};
+
+// --- Frame batching --- END ---
+
 // Send any buffered audio data once WebSocket setup is complete
 const sendBufferedAudio = () => {
   if (recordingBuffer.length > 0 && WebSocketService.isConnected() && WebSocketService.isSetupComplete()) {
-    console.log(`AudioInputService: Sending ${recordingBuffer.length} buffered audio chunks`);
+    log.info(`AudioInputService: Sending ${recordingBuffer.length} buffered audio chunks`);
     
     for (const audioBuffer of recordingBuffer) {
       WebSocketService.sendAudioChunk(audioBuffer);
     }
     
-    recordingBuffer = [];
+    clearBacklog();
   }
 };
 
 const isRecordingActive = () => isRecording;
 
+/**
+ * Signals that the microphone stream has paused: frames still buffered are sent first,
+ * then audioStreamEnd (or activityEnd in push-to-talk). Audio captured afterwards
+ * starts a new stream.
+ */
+const endAudioStream = () => {
+  if (isTalking) {
+    stopTalking();
+    return;
+  }
+  if (WebSocketService.isConnected() && WebSocketService.isSetupComplete()) {
+    sendBufferedAudio();
+    flushBatch();
+    WebSocketService.sendAudioStreamEnd();
+  } else {
+    // Nothing reached the server for this stream, so don't replay it after reconnecting
+    clearBacklog();
+    batchLength = 0;
+  }
+};
+
+const handleAppStateChange = (nextState) => {
+  const background = nextState !== 'active';
+  if (background === isInBackground) return;
+  isInBackground = background;
+  log.info(`AudioInputService: App ${background ? 'moved to the background, pausing' : 'active again, resuming'} audio stream`);
+  if (background) {
+    endAudioStream();
+  }
+};
+
 // New mute functions
 const setMuted = (muted) => {
+  if (muted && !isMuted) {
+    endAudioStream();
+  }
   isMuted = muted;
-  console.log(`AudioInputService: Microphone ${muted ? 'muted' : 'unmuted'}`);
+  log.info(`AudioInputService: Microphone ${muted ? 'muted' : 'unmuted'}`);
   return true;
 };
 
 const isMicrophoneMuted = () => isMuted;
 
+// Push-to-talk: set before the session connects, to match its pushToTalk option
+const setPushToTalk = (enabled) => {
+  isPushToTalk = enabled;
+  isTalking = false;
+  log.info(`AudioInputService: Push-to-talk ${enabled ? 'enabled' : 'disabled'}`);
+};
+
+// Talk button pressed: mark the start of user speech and begin forwarding frames
+const startTalking = () => {
+  if (!isPushToTalk) {
+    log.warn('AudioInputService: startTalking called without push-to-talk enabled');
+    return false;
+  }
+  isTalking = true;
+  clearBacklog();
+  batchLength = 0;
+  if (WebSocketService.isConnected() && WebSocketService.isSetupComplete()) {
+    WebSocketService.sendActivityStart();
+  }
+  return true;
+};
+
+// Talk button released: send what was captured and mark the end of user speech
+const stopTalking = () => {
+  if (!isTalking) return;
+  isTalking = false;
+  if (WebSocketService.isConnected() && WebSocketService.isSetupComplete()) {
+    sendBufferedAudio();
+    flushBatch();
+    WebSocketService.sendActivityEnd();
+  } else {
+    // Without a connection the utterance cannot be delimited, so drop it
+    log.info(`AudioInputService: Dropping ${recordingBuffer.length} chunks of push-to-talk audio, WebSocket not ready`);
+    clearBacklog();
+    batchLength = 0;
+  }
+};
+
+const isTalkingActive = () => isTalking;
+
 // Clean up all audio input resources
 const cleanupResources = async () => {
   try {
-    console.log('AudioInputService: Cleaning up all resources...');
+    log.info('AudioInputService: Cleaning up all resources...');
     
     // Stop recording if active
     if (isRecording) {
@@ -293,27 +470,28 @@ const cleanupResources = async () => {
     // Clean up WebRTC resources if active
     if (WebRTCAudioService.isProcessingActive()) {
       await WebRTCAudioService.stopAudioProcessing();
-      console.log('AudioInputService: WebRTC AEC resources released');
+      log.info('AudioInputService: WebRTC AEC resources released');
     }
     
     // Clean up InCallManager if it was initialized
     if (isInCallManagerInitialized && InCallManager) {
       try {
         InCallManager.stop();
-        console.log('AudioInputService: InCallManager resources released');
+        log.info('AudioInputService: InCallManager resources released');
       } catch (err) {
-        console.warn('AudioInputService: Error stopping InCallManager:', err);
+        log.warn('AudioInputService: Error stopping InCallManager:', err);
       }
       isInCallManagerInitialized = false;
     }
     
     // Clear any remaining buffer
-    recordingBuffer = [];
+    clearBacklog();
+    batchLength = 0;
     
-    console.log('AudioInputService: All resources cleaned up');
+    log.info('AudioInputService: All resources cleaned up');
     return true;
   } catch (error) {
-    console.error('AudioInputService: Error during cleanup:', error);
+    log.error('AudioInputService: Error during cleanup:', error);
     return false;
   }
 };
@@ -324,6 +502,11 @@ export default {
   isRecording: isRecordingActive,
   setMuted,
   isMuted: isMicrophoneMuted,
+  setPushToTalk,
+  startTalking,
+  stopTalking,
+  isTalking: isTalkingActive,
   sendBufferedAudio,
+  setAggregationWindow,
   cleanupResources,
 };
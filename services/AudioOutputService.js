@@ -7,6 +7,9 @@ import { AUDIO_SAMPLE_RATE, AUDIO_CHANNELS, AUDIO_BITS_PER_SAMPLE, AEC_ENABLED,
 import { Platform } from 'react-native';
 import * as FileSystem from 'expo-file-system';
 import InCallManager from 'react-native-incall-manager';
+import { createLogger } from './Logger';
+
+const log = createLogger('output');
 
 // Constants for audio output from Gemini Live API
 const OUTPUT_SAMPLE_RATE = 24000; // Gemini outputs at 24kHz
@@ -28,28 +31,63 @@ let tempFileCounter = 0;
 // Keep track of InCallManager initialization status
 let isInCallManagerInitialized = false;
 
+// Playback listeners, see addPlaybackListener
+const playbackListeners = new Set();
+// The session whose audio is being aggregated, and whose clip is playing (audio events carry a sessionId)
+let bufferSessionId = null;
+let playingSessionId = null;
+
+/**
+ * Subscribes to playback events, e.g. for latency measurements:
+ *   { type: 'started', sessionId }              a queued clip started playing
+ *   { type: 'stopped', wasPlaying, sessionId }  clearPlaybackQueue() cut playback off (wasPlaying is false if nothing was audible)
+ * sessionId is the session whose clip started or was cut off. With a sessionId, the listener only hears
+ * about that session's clips, and wasPlaying is false when another session's audio was stopped.
+ * @param {Function} listener
+ * @param {Object} [options]
+ * @param {number} [options.sessionId] - Only report playback of this session's audio
+ * @returns {Function} - Unsubscribes the listener
+ */
+const addPlaybackListener = (listener, { sessionId = null } = {}) => {
+  const entry = { listener, sessionId };
+  playbackListeners.add(entry);
+  return () => playbackListeners.delete(entry);
+};
+
+const _notifyPlayback = (event) => {
+  playbackListeners.forEach(({ listener, sessionId }) => {
+    const ownsAudio = sessionId === null || sessionId === event.sessionId;
+    if (!ownsAudio && event.type !== 'stopped') return;
+    try {
+      listener(ownsAudio ? event : { ...event, wasPlaying: false });
+    } catch (error) {
+      log.error('AudioOutputService: Playback listener threw:', error);
+    }
+  });
+};
+
 // Initialize InCallManager safely - only if available
 const initializeInCallManager = async () => {
   if (isInCallManagerInitialized) {
-    // console.log('AudioOutputService: InCallManager already initialized');
+    // log.debug('AudioOutputService: InCallManager already initialized');
     return true;
   }
   
   // Check if InCallManager is actually available
   if (!InCallManager) {
-    // console.log('AudioOutputService: InCallManager not available, skipping initialization');
+    // log.debug('AudioOutputService: InCallManager not available, skipping initialization');
     return false;
   }
   
   try {
-    // console.log('AudioOutputService: Initializing InCallManager...');
+    // log.debug('AudioOutputService: Initializing InCallManager...');
     
     // Add a small delay to ensure proper device initialization
     await new Promise(resolve => setTimeout(resolve, 500));
     
     // Make sure InCallManager is still available after the delay
     if (!InCallManager || typeof InCallManager.start !== 'function') {
-      console.warn('AudioOutputService: InCallManager not available after delay');
+      log.warn('AudioOutputService: InCallManager not available after delay');
       return false;
     }
     
@@ -71,16 +109,16 @@ const initializeInCallManager = async () => {
     // Now try to force speaker mode - with extra safety check
     if (InCallManager && typeof InCallManager.setForceSpeakerphoneOn === 'function') {
       InCallManager.setForceSpeakerphoneOn(true);
-      // console.log('AudioOutputService: Speaker mode forced on');
+      // log.debug('AudioOutputService: Speaker mode forced on');
     } else {
-      console.warn('AudioOutputService: Could not force speaker mode - method not available');
+      log.warn('AudioOutputService: Could not force speaker mode - method not available');
     }
     
     // If we made it here, consider InCallManager initialized
     isInCallManagerInitialized = true;
     return true;
   } catch (error) {
-    console.error('AudioOutputService: Error initializing InCallManager:', error);
+    log.error('AudioOutputService: Error initializing InCallManager:', error);
     return false;
   }
 };
@@ -88,7 +126,7 @@ const initializeInCallManager = async () => {
 // Configure audio for playback
 const configureAudio = async () => {
   try {
-    // console.log('AudioOutputService: Configuring audio...');
+    // log.debug('AudioOutputService: Configuring audio...');
     
     // Initialize Audio with proper settings for playback - explicitly set for speaker mode
     await Audio.setAudioModeAsync({
@@ -103,7 +141,7 @@ const configureAudio = async () => {
       interruptionModeAndroid: 1,      // 1 = DO_NOT_MIX 
     });
     
-    // console.log('AudioOutputService: Audio playback configured');
+    // log.debug('AudioOutputService: Audio playback configured');
     
     // Only after Audio.setAudioModeAsync, initialize InCallManager
     const inCallManagerSuccess = await initializeInCallManager();
@@ -121,9 +159,9 @@ const configureAudio = async () => {
           interruptionModeAndroid: 1,     // 1 = DO_NOT_MIX
           playThroughEarpieceAndroid: false,
         });
-        // console.log('AudioOutputService: iOS audio session set for speaker output');
+        // log.debug('AudioOutputService: iOS audio session set for speaker output');
       } catch (iosError) {
-        console.warn('AudioOutputService: Error configuring iOS audio session:', iosError);
+        log.warn('AudioOutputService: Error configuring iOS audio session:', iosError);
       }
     }
     
@@ -132,14 +170,14 @@ const configureAudio = async () => {
       try {
         InCallManager.setAudioVolume(1.0);
       } catch (volumeError) {
-        console.warn('AudioOutputService: Error setting audio volume:', volumeError);
+        log.warn('AudioOutputService: Error setting audio volume:', volumeError);
       }
     }
     
-    console.log('AudioOutputService: Audio configured successfully');
+    log.info('AudioOutputService: Audio configured successfully');
     return true;
   } catch (error) {
-    console.error('AudioOutputService: Error configuring audio:', error);
+    log.error('AudioOutputService: Error configuring audio:', error);
     return false;
   }
 };
@@ -159,10 +197,10 @@ const _createWavFromPcm = (pcmData, sampleRate, numChannels, bitsPerSample) => {
     const pcmBytes = pcmData instanceof ArrayBuffer ? new Uint8Array(pcmData) : pcmData;
     const header = _createWavHeader(sampleRate, bitsPerSample, numChannels, pcmBytes.length);
     const wavData = _combineWavData(header, pcmBytes);
-    console.log(`📻👷 AudioOutputService: WAV with (${wavData.length} bytes) from PCM (${pcmBytes.length} bytes) at ${sampleRate}Hz, ${numChannels}ch, ${bitsPerSample}bit`);
+    log.debug(`📻👷 AudioOutputService: WAV with (${wavData.length} bytes) from PCM (${pcmBytes.length} bytes) at ${sampleRate}Hz, ${numChannels}ch, ${bitsPerSample}bit`);
     return wavData;
   } catch (error) {
-    console.error('Error creating WAV from PCM:', error);
+    log.error('Error creating WAV from PCM:', error);
     throw error;
   }
 };
@@ -226,7 +264,7 @@ const _combineWavData = (header, pcmData) => {
     
     return combinedBuffer;
   } catch (error) {
-    console.error('Error combining WAV data:', error);
+    log.error('Error combining WAV data:', error);
     throw error;
   }
 };
@@ -247,10 +285,10 @@ const _saveWavToTempFile = async (wavData) => {
     // Write the file
     await FileSystem.writeAsStringAsync(tempFilePath, base64Data, { encoding: FileSystem.EncodingType.Base64 });
     
-    // console.log(`AudioOutputService: Saved WAV file to ${tempFilePath}`);
+    // log.debug(`AudioOutputService: Saved WAV file to ${tempFilePath}`);
     return tempFilePath;
   } catch (error) {
-    console.error('Error saving WAV to temp file:', error);
+    log.error('Error saving WAV to temp file:', error);
     throw error;
   }
 };
@@ -264,7 +302,7 @@ const _saveWavToTempFile = async (wavData) => {
  */
 const _playSoundObject = async (sound) => {
   try {
-    // console.log('AudioOutputService: Playing sound object');
+    // log.debug('AudioOutputService: Playing sound object');
     
     // Ensure audio is forced to speaker before every playback
     try {
@@ -307,9 +345,9 @@ const _playSoundObject = async (sound) => {
         InCallManager.setForceSpeakerphoneOn(true);
       }
       
-      // console.log('AudioOutputService: Audio session re-activated for playback with speaker mode');
+      // log.debug('AudioOutputService: Audio session re-activated for playback with speaker mode');
     } catch (sessionError) {
-      console.warn('AudioOutputService: Error re-activating audio session:', sessionError);
+      log.warn('AudioOutputService: Error re-activating audio session:', sessionError);
       // Continue anyway, as the error might be that it's already activated
     }
     
@@ -317,17 +355,18 @@ const _playSoundObject = async (sound) => {
     try {
       // Set the volume for this specific sound to maximum
       await sound.setVolumeAsync(1.0);
-      // console.log('AudioOutputService: Sound volume set to maximum');
+      // log.debug('AudioOutputService: Sound volume set to maximum');
     } catch (volumeError) {
-      console.warn('AudioOutputService: Could not set sound volume:', volumeError);
+      log.warn('AudioOutputService: Could not set sound volume:', volumeError);
     }
     
     // Play the sound
     await sound.playAsync();
-    console.log('AudioOutputService: Playback started successfully');
+    log.debug('AudioOutputService: Playback started successfully');
+    _notifyPlayback({ type: 'started', sessionId: playingSessionId });
     return true;
   } catch (error) {
-    console.error('AudioOutputService: Error playing sound:', error);
+    log.error('AudioOutputService: Error playing sound:', error);
     return false;
   }
 };
@@ -340,10 +379,10 @@ const _cleanupSoundObject = async (sound) => {
   try {
     if (sound) {
       await sound.unloadAsync();
-      console.log('AudioOutputService: Sound unloaded');
+      log.debug('AudioOutputService: Sound unloaded');
     }
   } catch (error) {
-    console.error('AudioOutputService: Error unloading sound:', error);
+    log.error('AudioOutputService: Error unloading sound:', error);
   }
 };
 
@@ -358,6 +397,7 @@ const _processQueue = async () => {
   try {
     isPlaying = true;
     const queueItem = audioQueue.shift();
+    playingSessionId = queueItem?.sessionId ?? null;
     
     // Handle the new object format with type, data, and mimeType fields
     // Extract the actual audio data from the object if needed
@@ -372,7 +412,7 @@ const _processQueue = async () => {
         const rateMatch = queueItem.mimeType.match(/rate=(\d+)/);
         if (rateMatch && rateMatch[1]) {
           sampleRate = parseInt(rateMatch[1], 10);
-          // console.log(`AudioOutputService: Detected sample rate from mimeType: ${sampleRate}Hz`);
+          // log.debug(`AudioOutputService: Detected sample rate from mimeType: ${sampleRate}Hz`);
         }
       }
     } else {
@@ -382,14 +422,14 @@ const _processQueue = async () => {
     
     // Validate audio data
     if (!audioData) {
-      console.error('AudioOutputService: Received null or empty audio data');
+      log.error('AudioOutputService: Received null or empty audio data');
       isPlaying = false;
       _processQueue(); // Try next item
       return;
     }
     
     // Log detailed info about the audio data for debugging
-    // console.log(
+    // log.debug(
     //   `🔊🔊 AudioOutputService: audioData type=${typeof audioData}` +
     //   (audioData instanceof ArrayBuffer
     //     ? `, ArrayBuffer length=${audioData.byteLength}`
@@ -402,7 +442,7 @@ const _processQueue = async () => {
     
     // Use detected sample rate or fallback to default
     const outputSampleRate = sampleRate || OUTPUT_SAMPLE_RATE;
-    // console.log(`  - Using sample rate: ${outputSampleRate}Hz`);
+    // log.debug(`  - Using sample rate: ${outputSampleRate}Hz`);
     
     // Create a WAV file from the PCM data
     let wavData;
@@ -410,24 +450,24 @@ const _processQueue = async () => {
     try {
       if (typeof audioData === 'string') {
         // Handle Base64 encoded audio
-        // console.log('  - Converting Base64 string to PCM data');
+        // log.debug('  - Converting Base64 string to PCM data');
         const pcmData = Buffer.from(audioData, 'base64');
         wavData = _createWavFromPcm(pcmData, outputSampleRate, OUTPUT_CHANNELS, OUTPUT_BITS_PER_SAMPLE);
       } else if (audioData instanceof ArrayBuffer || audioData instanceof Uint8Array) {
         // Handle raw PCM data
-        // console.log('  - Converting ArrayBuffer/Uint8Array to WAV');
+        // log.debug('  - Converting ArrayBuffer/Uint8Array to WAV');
         wavData = _createWavFromPcm(audioData, outputSampleRate, OUTPUT_CHANNELS, OUTPUT_BITS_PER_SAMPLE);
       } else {
-        console.error('AudioOutputService: Unsupported audio data format', typeof audioData);
+        log.error('AudioOutputService: Unsupported audio data format', typeof audioData);
         if (audioData && typeof audioData === 'object') {
-          console.error('Keys available:', Object.keys(audioData));
+          log.error('Keys available:', Object.keys(audioData));
         }
         isPlaying = false;
         _processQueue(); // Try next item
         return;
       }
     } catch (wavError) {
-      console.error('AudioOutputService: Error creating WAV data:', wavError);
+      log.error('AudioOutputService: Error creating WAV data:', wavError);
       isPlaying = false;
       _processQueue(); // Try next item
       return;
@@ -435,7 +475,7 @@ const _processQueue = async () => {
     
     // Validate WAV data
     if (!wavData || wavData.length < 44) { // 44 is minimum WAV header size
-      console.error(`AudioOutputService: Invalid WAV data created (size: ${wavData ? wavData.length : 'null'})`);
+      log.error(`AudioOutputService: Invalid WAV data created (size: ${wavData ? wavData.length : 'null'})`);
       isPlaying = false;
       _processQueue(); // Try next item
       return;
@@ -451,52 +491,52 @@ const _processQueue = async () => {
       }
       
       // Create a new sound object
-      // console.log('AudioOutputService: Creating sound object from file:', tempFilePath);
+      // log.debug('AudioOutputService: Creating sound object from file:', tempFilePath);
       soundObject = new Audio.Sound();
       
       // Make sure audio is enabled before loading
       await Audio.setIsEnabledAsync(true);
       
       // Load the sound with proper options
-      // console.log('AudioOutputService: Loading sound file...');
+      // log.debug('AudioOutputService: Loading sound file...');
       await soundObject.loadAsync(
         { uri: tempFilePath },
         { shouldPlay: false, progressUpdateIntervalMillis: 50 }
       );
-      // console.log('AudioOutputService: Sound loaded successfully');
+      // log.debug('AudioOutputService: Sound loaded successfully');
       
       // Set up completion listener
       soundObject.setOnPlaybackStatusUpdate(status => {
         if (status.didJustFinish) {
-          // console.log('AudioOutputService: Playback finished');
+          // log.debug('AudioOutputService: Playback finished');
           isPlaying = false;
           _processQueue(); // Process next item in queue
         }
         
         if (status.error) {
-          console.error('AudioOutputService: Playback error:', status.error);
+          log.error('AudioOutputService: Playback error:', status.error);
           isPlaying = false;
           _processQueue(); // Try next item
         }
       });
       
       // Play the sound
-       console.log('AudioOutputService: Playing audio');
+       log.debug('AudioOutputService: Playing audio');
       const playSuccess = await _playSoundObject(soundObject);
       
       if (!playSuccess) {
-        console.error('AudioOutputService: Failed to play audio');
+        log.error('AudioOutputService: Failed to play audio');
         isPlaying = false;
         _processQueue(); // Try next item
       }
     } catch (error) {
-      console.error('AudioOutputService: Error playing audio:', error);
+      log.error('AudioOutputService: Error playing audio:', error);
       isPlaying = false;
       _processQueue(); // Try next item
     }
   } catch (error) {
-    console.error('AudioOutputService: Error processing audio:', error);
-    console.error('Stack trace:', error.stack);
+    log.error('AudioOutputService: Error processing audio:', error);
+    log.error('Stack trace:', error.stack);
     isPlaying = false;
     _processQueue(); // Try next item
   }
@@ -512,7 +552,7 @@ const _combineAudioChunks = (chunks) => {
     return null;
   }
   
-  // console.log(`AudioOutputService: Combining ${chunks.length} audio chunks`);
+  // log.debug(`AudioOutputService: Combining ${chunks.length} audio chunks`);
   
   try {
     // Extract all PCM data from chunks
@@ -562,10 +602,10 @@ const _combineAudioChunks = (chunks) => {
       offset += data.length;
     }
     
-    // console.log(`AudioOutputService: Combined ${chunks.length} chunks into ${totalLength} bytes`);
+    // log.debug(`AudioOutputService: Combined ${chunks.length} chunks into ${totalLength} bytes`);
     return { data: combinedBuffer, sampleRate };
   } catch (error) {
-    console.error('AudioOutputService: Error combining audio chunks:', error);
+    log.error('AudioOutputService: Error combining audio chunks:', error);
     return null;
   }
 };
@@ -582,7 +622,7 @@ const _processBufferedChunks = () => {
   
   // If we have chunks to process
   if (bufferAggregator.length > 0) {
-    // console.log(`AudioOutputService: Processing ${bufferAggregator.length} buffered chunks`);
+    // log.debug(`AudioOutputService: Processing ${bufferAggregator.length} buffered chunks`);
     
     // Combine chunks and get the resulting audio data
     const combined = _combineAudioChunks(bufferAggregator);
@@ -596,7 +636,8 @@ const _processBufferedChunks = () => {
         type: 'audio',
         data: combined.data,
         mimeType: `audio/pcm;rate=${combined.sampleRate}`,
-        isAggregated: true
+        isAggregated: true,
+        sessionId: bufferSessionId,
       };
       
       // Add to queue and process
@@ -609,10 +650,11 @@ const _processBufferedChunks = () => {
 /**
  * Play an audio chunk received from the WebSocket
  * @param {ArrayBuffer|Uint8Array|string|Object} audioData - Audio data, possibly Base64 encoded or in an object
+ *   (a session's audio event, whose sessionId is passed on to playback listeners)
  */
 const playAudioChunk = async (audioData) => {
   if (!audioData) {
-    console.warn('AudioOutputService: Received null or undefined audio data');
+    log.warn('AudioOutputService: Received null or undefined audio data');
     return;
   }
   
@@ -639,11 +681,18 @@ const playAudioChunk = async (audioData) => {
         : 'no data field';
     }
     
-    // console.log(` 🎵 AudioOutputService: Received audio chunk to play. Type: ${dataType}, Size: ${dataSize}${dataType === 'object' && audioData.mimeType ? `, MIME type: ${audioData.mimeType}` : ''}`);
+    // log.debug(` 🎵 AudioOutputService: Received audio chunk to play. Type: ${dataType}, Size: ${dataSize}${dataType === 'object' && audioData.mimeType ? `, MIME type: ${audioData.mimeType}` : ''}`);
     
+    // Chunks are only combined within one session, so each clip has a single owner
+    const sessionId = audioData?.sessionId ?? null;
+    if (bufferAggregator.length > 0 && sessionId !== bufferSessionId) {
+      _processBufferedChunks();
+    }
+    bufferSessionId = sessionId;
+
     // Add to buffer aggregator instead of directly to queue
     bufferAggregator.push(audioData);
-    // console.log(`AudioOutputService: Added audio to buffer. Buffer size: ${bufferAggregator.length}`);
+    // log.debug(`AudioOutputService: Added audio to buffer. Buffer size: ${bufferAggregator.length}`);
     
     // If this is the first chunk in the buffer, start the timer
     if (bufferAggregator.length === 1) {
@@ -655,7 +704,7 @@ const playAudioChunk = async (audioData) => {
       _processBufferedChunks();
     }
   } catch (error) {
-    console.error('AudioOutputService: Error queuing audio chunk:', error);
+    log.error('AudioOutputService: Error queuing audio chunk:', error);
   }
 };
 
@@ -665,7 +714,7 @@ const playAudioChunk = async (audioData) => {
  */
 const cleanupAudioResources = async () => {
   try {
-    console.log('AudioOutputService: Cleaning up audio resources...');
+    log.info('AudioOutputService: Cleaning up audio resources...');
     
     // Stop InCallManager if it's running and AEC isn't enabled
     // If AEC is enabled, we leave InCallManager running to maintain AEC across sessions
@@ -673,12 +722,12 @@ const cleanupAudioResources = async () => {
     try {
       if (!AEC_ENABLED) {
         InCallManager.stop();
-        console.log('AudioOutputService: InCallManager stopped');
+        log.info('AudioOutputService: InCallManager stopped');
       } else {
-        console.log('AudioOutputService: Keeping InCallManager running for AEC');
+        log.info('AudioOutputService: Keeping InCallManager running for AEC');
       }
     } catch (inCallError) {
-      console.warn('AudioOutputService: Error managing InCallManager:', inCallError);
+      log.warn('AudioOutputService: Error managing InCallManager:', inCallError);
     }
     
     // Clean up any sound objects
@@ -687,14 +736,14 @@ const cleanupAudioResources = async () => {
         await _cleanupSoundObject(soundObject);
         soundObject = null;
       } catch (soundError) {
-        console.warn('AudioOutputService: Error cleaning up sound object:', soundError);
+        log.warn('AudioOutputService: Error cleaning up sound object:', soundError);
       }
     }
     
     isPlaying = false;
-    console.log('AudioOutputService: Audio resources cleaned up');
+    log.info('AudioOutputService: Audio resources cleaned up');
   } catch (error) {
-    console.error('AudioOutputService: Error during cleanup:', error);
+    log.error('AudioOutputService: Error during cleanup:', error);
   }
 };
 
@@ -703,7 +752,7 @@ const cleanupAudioResources = async () => {
  */
 const clearPlaybackQueue = async () => {
   try {
-    console.log('AudioOutputService: Clearing audio playback queue');
+    log.info('AudioOutputService: Clearing audio playback queue');
     
     // Empty the queue and buffer
     audioQueue = [];
@@ -716,22 +765,26 @@ const clearPlaybackQueue = async () => {
     }
     
     // Stop current playback if active
-    if (isPlaying && soundObject) {
+    const wasPlaying = isPlaying && !!soundObject;
+    if (wasPlaying) {
       try {
         await soundObject.stopAsync();
-        // console.log('AudioOutputService: Stopped current playback');
+        // log.debug('AudioOutputService: Stopped current playback');
       } catch (stopError) {
-        console.warn('AudioOutputService: Error stopping playback:', stopError);
+        log.warn('AudioOutputService: Error stopping playback:', stopError);
       }
     }
     
     // Reset playing state
     isPlaying = false;
+    _notifyPlayback({ type: 'stopped', wasPlaying, sessionId: playingSessionId });
+    playingSessionId = null;
+    bufferSessionId = null;
     
-    console.log('AudioOutputService: Playback queue cleared');
+    log.info('AudioOutputService: Playback queue cleared');
     return true;
   } catch (error) {
-    console.error('AudioOutputService: Error clearing playback queue:', error);
+    log.error('AudioOutputService: Error clearing playback queue:', error);
     return false;
   }
 };
@@ -743,7 +796,7 @@ const cleanupTempFiles = async () => {
     const files = await FileSystem.readDirectoryAsync(cacheDir);
     const audioFiles = files.filter(file => file.startsWith('audio_') && file.endsWith('.wav'));
     
-    console.log(`AudioOutputService: Found ${audioFiles.length} temporary audio files to clean up`);
+    log.info(`AudioOutputService: Found ${audioFiles.length} temporary audio files to clean up`);
     
     // Keep the 5 most recent files and delete the rest
     if (audioFiles.length > 5) {
@@ -754,11 +807,11 @@ const cleanupTempFiles = async () => {
       for (let i = 5; i < audioFiles.length; i++) {
         const filePath = `${cacheDir}${audioFiles[i]}`;
         await FileSystem.deleteAsync(filePath);
-        console.log(`AudioOutputService: Deleted temporary file ${audioFiles[i]}`);
+        log.debug(`AudioOutputService: Deleted temporary file ${audioFiles[i]}`);
       }
     }
   } catch (error) {
-    console.error('AudioOutputService: Error cleaning up temp files:', error);
+    log.error('AudioOutputService: Error cleaning up temp files:', error);
   }
 };
 
@@ -774,6 +827,7 @@ export {
   clearPlaybackQueue,
   cleanupAudioResources,
   cleanupTempFiles,
+  addPlaybackListener,
 };
 
 // Add event listener for app state changes to clean up resources when app is closed
@@ -788,7 +842,7 @@ if (Platform.OS === 'ios') {
       }
     });
   } catch (error) {
-    console.warn('AudioOutputService: Could not set up AppState listener:', error);
+    log.warn('AudioOutputService: Could not set up AppState listener:', error);
   }
 }
 
@@ -796,4 +850,5 @@ export default {
   playAudioChunk,
   clearPlaybackQueue,
   cleanupAudioResources, // Export the cleanup function so it can be called from outside
+  addPlaybackListener,
 };
@@ -0,0 +1,101 @@
+// services/ConversationHistory.js
+// Rule X: Conversation History
+
+import * as FileSystem from 'expo-file-system';
+import { HISTORY_TOKEN_BUDGET } from '../config';
+import { createLogger } from './Logger';
+
+const log = createLogger('ws');
+
+const HISTORY_FILE = `${FileSystem.documentDirectory}conversation_history.json`;
+
+// Rough estimate (about four characters per token); good enough for budgeting
+export const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Converts stored entries to Live API Content turns.
+ * Accepts { role, text } entries or Content objects ({ role, parts }); roles are 'user' or 'model'.
+ * Entries without text are skipped.
+ * @param {Array} entries
+ * @returns {Array} - [{ role, parts: [{ text }] }]
+ */
+export const toContentTurns = (entries = []) => entries
+  .map((entry) => {
+    const role = String(entry.role || '').toLowerCase();
+    const text = entry.text !== undefined
+      ? entry.text
+      : (entry.parts || []).map(part => part.text || '').join('');
+    return { role, text: (text || '').trim() };
+  })
+  .filter(({ role, text }) => (role === 'user' || role === 'model') && text.length > 0)
+  .map(({ role, text }) => ({ role, parts: [{ text }] }));
+
+/**
+ * Keeps the most recent turns that fit in the token budget.
+ * @param {Array} turns - Content turns, oldest first
+ * @param {number} [tokenBudget=HISTORY_TOKEN_BUDGET]
+ * @returns {Array}
+ */
+export const trimToTokenBudget = (turns, tokenBudget = HISTORY_TOKEN_BUDGET) => {
+  const kept = [];
+  let tokens = 0;
+  for (let i = turns.length - 1; i >= 0; i--) {
+    const turnTokens = turns[i].parts.reduce((sum, part) => sum + estimateTokens(part.text), 0);
+    if (tokens + turnTokens > tokenBudget) break;
+    tokens += turnTokens;
+    kept.unshift(turns[i]);
+  }
+  if (kept.length < turns.length) {
+    log.info(`ConversationHistory: Trimmed history to ${kept.length}/${turns.length} turns (~${tokens} tokens)`);
+  }
+  return kept;
+};
+
+// Loads stored turns as [{ role, text }], oldest first
+const loadHistory = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(HISTORY_FILE);
+    if (!info.exists) return [];
+    const stored = JSON.parse(await FileSystem.readAsStringAsync(HISTORY_FILE));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    log.error('ConversationHistory: Error loading history:', error);
+    return [];
+  }
+};
+
+/**
+ * Appends a finished conversation to the stored history, trimmed to the token budget.
+ * @param {Array} entries - [{ role, text }]
+ */
+const appendHistory = async (entries, tokenBudget = HISTORY_TOKEN_BUDGET) => {
+  try {
+    const turns = trimToTokenBudget(toContentTurns([...(await loadHistory()), ...entries]), tokenBudget);
+    const stored = turns.map(turn => ({ role: turn.role, text: turn.parts[0].text }));
+    await FileSystem.writeAsStringAsync(HISTORY_FILE, JSON.stringify(stored));
+    log.info(`ConversationHistory: Saved ${stored.length} turns`);
+    return true;
+  } catch (error) {
+    log.error('ConversationHistory: Error saving history:', error);
+    return false;
+  }
+};
+
+const clearHistory = async () => {
+  try {
+    await FileSystem.deleteAsync(HISTORY_FILE, { idempotent: true });
+    return true;
+  } catch (error) {
+    log.error('ConversationHistory: Error clearing history:', error);
+    return false;
+  }
+};
+
+export default {
+  estimateTokens,
+  toContentTurns,
+  trimToTokenBudget,
+  loadHistory,
+  appendHistory,
+  clearHistory,
+};
@@ -0,0 +1,158 @@
+// services/CredentialService.js
+// Rule VII: Credential Service
+
+import { API_KEY, CREDENTIAL_REFRESH_MARGIN_MS } from '../config';
+import { createLogger } from './Logger';
+
+const log = createLogger('ws');
+
+/**
+ * A credential provider is an async function returning one of:
+ *   - an API key:          { apiKey: 'AIza...' } (or the key as a plain string)
+ *   - an ephemeral token:  { token: 'auth_tokens/...', expiresAt: Date | ISO string | epoch ms }
+ *   - an access token:     { accessToken: 'ya29...', expiresAt }  OAuth token for Vertex AI, sent as a bearer header
+ * Production apps should fetch short-lived tokens from their own backend instead of
+ * shipping an API key in the bundle.
+ */
+let credentialProvider = null;
+let cachedCredential = null;   // { type: 'apiKey' | 'token' | 'accessToken', value, expiresAt }
+let pendingFetch = null;       // Shared promise while a fetch is in flight
+let refreshTimer = null;
+let hasWarnedAboutBundledKey = false;
+
+// Development fallback: the API key from config.js
+const bundledKeyProvider = async () => {
+  if (!API_KEY) return null;
+  if (!hasWarnedAboutBundledKey) {
+    log.warn('CredentialService: Using API_KEY from config.js - for development only, set a credential provider for production');
+    hasWarnedAboutBundledKey = true;
+  }
+  return { apiKey: API_KEY };
+};
+
+const CREDENTIAL_NAMES = { apiKey: 'API key', token: 'ephemeral token', accessToken: 'access token' };
+
+const toEpochMs = (expiresAt) => {
+  if (expiresAt === undefined || expiresAt === null) return null;
+  if (expiresAt instanceof Date) return expiresAt.getTime();
+  if (typeof expiresAt === 'number') return expiresAt;
+  const parsed = Date.parse(expiresAt);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// Normalizes whatever the provider returned into { type, value, expiresAt }
+const normalizeCredential = (result) => {
+  if (typeof result === 'string' && result) {
+    return { type: 'apiKey', value: result, expiresAt: null };
+  }
+  if (result && typeof result === 'object') {
+    if (result.token) {
+      return { type: 'token', value: result.token, expiresAt: toEpochMs(result.expiresAt) };
+    }
+    if (result.accessToken) {
+      return { type: 'accessToken', value: result.accessToken, expiresAt: toEpochMs(result.expiresAt) };
+    }
+    if (result.apiKey) {
+      return { type: 'apiKey', value: result.apiKey, expiresAt: null };
+    }
+  }
+  throw new Error('Credential provider returned neither an apiKey, a token nor an accessToken');
+};
+
+const isExpiringSoon = (credential) => {
+  if (!credential.expiresAt) return false;
+  return credential.expiresAt - Date.now() <= CREDENTIAL_REFRESH_MARGIN_MS;
+};
+
+const clearRefreshTimer = () => {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+    refreshTimer = null;
+  }
+};
+
+// Fetches a new token shortly before the cached one expires, so reconnects never wait on it
+const scheduleRefresh = (credential) => {
+  clearRefreshTimer();
+  if (credential.type === 'apiKey' || !credential.expiresAt) return;
+
+  const delayMs = Math.max(0, credential.expiresAt - Date.now() - CREDENTIAL_REFRESH_MARGIN_MS);
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    fetchCredential().catch((error) => {
+      log.error('CredentialService: Background token refresh failed:', redactSecrets(error?.message || String(error)));
+    });
+  }, delayMs);
+};
+
+const fetchCredential = () => {
+  if (pendingFetch) return pendingFetch;
+
+  const provider = credentialProvider || bundledKeyProvider;
+  pendingFetch = (async () => {
+    try {
+      const credential = normalizeCredential(await provider());
+      cachedCredential = credential;
+      scheduleRefresh(credential);
+      log.info(`CredentialService: Obtained ${CREDENTIAL_NAMES[credential.type]}${credential.expiresAt ? ` (expires ${new Date(credential.expiresAt).toISOString()})` : ''}`);
+      return credential;
+    } finally {
+      pendingFetch = null;
+    }
+  })();
+  return pendingFetch;
+};
+
+/**
+ * Sets the async function used to obtain credentials.
+ * Pass null to fall back to the API key in config.js.
+ * @param {Function|null} provider
+ */
+const setCredentialProvider = (provider) => {
+  if (provider !== null && typeof provider !== 'function') {
+    throw new Error('CredentialService: Credential provider must be a function');
+  }
+  credentialProvider = provider;
+  clearCredential();
+};
+
+/**
+ * Returns a usable credential, calling the provider when none is cached or the token is about to expire.
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh=false]
+ * @returns {Promise<{type: string, value: string, expiresAt: number|null}>}
+ */
+const getCredential = async ({ forceRefresh = false } = {}) => {
+  if (!forceRefresh && cachedCredential && !isExpiringSoon(cachedCredential)) {
+    return cachedCredential;
+  }
+  return fetchCredential();
+};
+
+// Drops the cached credential and stops background refresh
+const clearCredential = () => {
+  cachedCredential = null;
+  clearRefreshTimer();
+};
+
+/**
+ * Removes secrets from text before it is logged: key/access_token query parameters
+ * and the raw value of the current credential.
+ * @param {string} text
+ * @returns {string}
+ */
+const redactSecrets = (text) => {
+  if (typeof text !== 'string') return text;
+  let redacted = text.replace(/([?&](?:key|access_token)=)[^&\s]+/gi, '$1[REDACTED]');
+  if (cachedCredential?.value) {
+    redacted = redacted.split(cachedCredential.value).join('[REDACTED]');
+  }
+  return redacted;
+};
+
+export default {
+  setCredentialProvider,
+  getCredential,
+  clearCredential,
+  redactSecrets,
+};
@@ -0,0 +1,103 @@
+// services/EventEmitter.js
+// Small multi-subscriber emitter with a fixed set of event names
+
+import { createLogger } from './Logger';
+
+const log = createLogger('ws');
+
+class EventEmitter {
+  /**
+   * @param {string[]} eventNames - The only events that can be subscribed to or emitted
+   */
+  constructor(eventNames) {
+    this._listeners = new Map(eventNames.map(name => [name, []]));
+  }
+
+  _listenersFor(event) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) {
+      throw new Error(`EventEmitter: Unknown event "${event}". Known events: ${Array.from(this._listeners.keys()).join(', ')}`);
+    }
+    return listeners;
+  }
+
+  /**
+   * Subscribes to an event.
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {Function} - Unsubscribes this listener
+   */
+  on(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error(`EventEmitter: Listener for "${event}" must be a function`);
+    }
+    return this._subscribe(event, { listener, once: false });
+  }
+
+  /**
+   * Subscribes to the next occurrence of an event only.
+   * @returns {Function} - Unsubscribes the listener if it has not fired yet
+   */
+  once(event, listener) {
+    if (typeof listener !== 'function') {
+      throw new Error(`EventEmitter: Listener for "${event}" must be a function`);
+    }
+    return this._subscribe(event, { listener, once: true });
+  }
+
+  // The unsubscribe removes this exact entry, so subscribing the same function twice
+  // (or a once that already fired) never takes another subscription with it
+  _subscribe(event, entry) {
+    this._listenersFor(event).push(entry);
+    return () => {
+      const listeners = this._listenersFor(event);
+      const index = listeners.indexOf(entry);
+      if (index !== -1) {
+        listeners.splice(index, 1);
+      }
+    };
+  }
+
+  // Removes the first matching subscription of listener
+  off(event, listener) {
+    const listeners = this._listenersFor(event);
+    const index = listeners.findIndex(entry => entry.listener === listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+  }
+
+  emit(event, ...args) {
+    const listeners = this._listenersFor(event);
+    // Iterate over a snapshot so listeners can unsubscribe while being called; a listener
+    // removed by an earlier one in this emit is skipped
+    listeners.slice().forEach((entry) => {
+      const index = listeners.indexOf(entry);
+      if (index === -1) return;
+      if (entry.once) {
+        listeners.splice(index, 1);
+      }
+      try {
+        entry.listener(...args);
+      } catch (error) {
+        // One failing listener must not stop the others
+        log.error(`EventEmitter: Listener for "${event}" threw:`, error);
+      }
+    });
+  }
+
+  hasListeners(event) {
+    return this._listenersFor(event).length > 0;
+  }
+
+  // Removes every listener of one event, or of all events when called without arguments
+  removeAllListeners(event) {
+    if (event === undefined) {
+      this._listeners.forEach(listeners => listeners.splice(0));
+      return;
+    }
+    this._listenersFor(event).splice(0);
+  }
+}
+
+export default EventEmitter;
@@ -0,0 +1,1556 @@
+// services/GeminiLiveSession.js
+// Rule II: Gemini Live Session - one instance per conversation
+
+import {
+  AUDIO_SAMPLE_RATE,
+  RECONNECT_MAX_ATTEMPTS,
+  RECONNECT_BASE_DELAY_MS,
+  RECONNECT_MAX_DELAY_MS,
+  LATENCY_SPEECH_RMS_THRESHOLD,
+  SEND_HIGH_WATER_MARK_BYTES,
+  SEND_LOW_WATER_MARK_BYTES,
+  SEND_MAX_QUEUED_AUDIO_MS,
+  SEND_DRAIN_INTERVAL_MS,
+  SEND_ESTIMATED_UPLINK_BYTES_PER_SEC,
+} from '../config';
+import { Buffer } from 'buffer'; // For binary data conversion
+import CredentialService from './CredentialService';
+import { createDefaultTransport, isTransport } from './Transport';
+import {
+  VAD_PROFILES,
+  validateSessionOptions,
+  validateRealtimeInputConfig,
+  resolveSessionOptions,
+  buildSetup,
+} from './SessionConfig';
+import EventEmitter from './EventEmitter';
+import UsageTracker from './UsageTracker';
+import LatencyTracker, { now } from './LatencyTracker';
+import { addPlaybackListener } from './AudioOutputService';
+import { toContentTurns, trimToTokenBudget } from './ConversationHistory';
+import { parseFrame, validateServerMessage } from './LiveMessageDecoder';
+import { ProtocolRecorder } from './ProtocolRecorder';
+import { createLogger } from './Logger';
+
+const log = createLogger('ws');
+
+/**
+ * Events emitted by a session, with their listener arguments:
+ *   status        (status, details?)  'connected' | 'reconnecting' | 'reconnected' | 'refreshing' | 'refreshed' | 'disconnected' | 'error'
+ *                                     'refreshing' details are { timeLeftMs } after GoAway, { reason: 'vadProfile' } after applyVadProfile()
+ *   audio         ({ type, data, mimeType?, sessionId })  model audio to play
+ *   transcript    ({ text, isFinal, type })   type is 'user' or 'model'
+ *   text          ({ text })                   model reply text in TEXT mode
+ *   interruption  ()
+ *   turnComplete  ()
+ *   setupComplete ()
+ *   error         (message)
+ *   message       (message)                   every valid server message, before handling
+ *   diagnostic    ({ reason, preview?, message?, ignoredFields? })  a frame that was not a valid server message and
+ *                                     was dropped, or (with ignoredFields) a handled message carrying unknown top-level fields
+ *   usage         (stats)                     token usage changed, see getUsageStats()
+ *   codeExecution ({ type: 'code', language, code } | { type: 'result', outcome, output })  built-in code execution
+ *   grounding     ({ sources: [{ uri, title }], searchQueries })  Google Search sources behind the current answer
+ *   congestion    ({ congested, bufferedAmount, queuedAudioMs, audioMsDropped, videoFramesDropped })  the uplink
+ *                                     fell behind (outgoing media is queued) or caught up again
+ */
+export const SESSION_EVENTS = [
+  'status',
+  'audio',
+  'transcript',
+  'text',
+  'interruption',
+  'turnComplete',
+  'setupComplete',
+  'error',
+  'message',
+  'diagnostic',
+  'usage',
+  'codeExecution',
+  'grounding',
+  'congestion',
+];
+
+// Legacy single-slot setters and the events they wrap
+const LEGACY_CALLBACK_EVENTS = {
+  setOnMessageCallback: 'audio',
+  setOnStatusUpdateCallback: 'status',
+  setOnErrorCallback: 'error',
+  setOnInterruptionCallback: 'interruption',
+  setOnTurnCompleteCallback: 'turnComplete',
+  setOnTranscriptCallback: 'transcript',
+  setOnTextCallback: 'text',
+};
+
+// Close codes that mean retrying with the same setup cannot succeed
+// (protocol error, unsupported data, invalid payload, policy violation e.g. bad API key)
+const NON_RETRYABLE_CLOSE_CODES = [1002, 1003, 1007, 1008];
+
+// Sessions between connect() and disconnect(). The credential cache is shared, so it is only
+// cleared once the last of them disconnects.
+const activeSessions = new Set();
+
+// Tags each session's audio, so playback events reach the session that owns the audio
+let nextSessionId = 1;
+
+// The API expects a JSON object as the response, so wrap anything else
+const toResponseObject = (result) => {
+  if (result === undefined || result === null) return {};
+  if (typeof result === 'object' && !Array.isArray(result)) return result;
+  return { result };
+};
+
+// PCM16 mono: two bytes per sample
+const audioBytesToMs = (byteLength) => byteLength / (AUDIO_SAMPLE_RATE * 2) * 1000;
+const MAX_QUEUED_AUDIO_BYTES = SEND_MAX_QUEUED_AUDIO_MS * AUDIO_SAMPLE_RATE * 2 / 1000;
+
+// Encodes straight from the caller's memory (a view, no copy), so reused capture buffers stay cheap
+const toAudioMessage = (bytes) => ({
+  realtimeInput: {
+    audio: {
+      mimeType: `audio/pcm;rate=${AUDIO_SAMPLE_RATE}`, // Explicitly set MIME type with sample rate
+      data: Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64'),
+    },
+  },
+});
+
+// Root mean square of PCM16 samples, used to tell speech from silence
+const pcm16Rms = (bytes) => {
+  // Int16Array views need an even offset
+  const aligned = bytes.byteOffset % 2 === 0 ? bytes : bytes.slice();
+  const samples = new Int16Array(aligned.buffer, aligned.byteOffset, aligned.byteLength >> 1);
+  if (samples.length === 0) return 0;
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sumOfSquares += samples[i] * samples[i];
+  }
+  return Math.sqrt(sumOfSquares / samples.length);
+};
+
+// timeLeft is a protobuf Duration, serialized as e.g. "9.5s"
+const parseDurationMs = (duration) => {
+  if (typeof duration === 'string') {
+    const seconds = parseFloat(duration);
+    return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+  }
+  if (duration && typeof duration === 'object') {
+    return Math.round((Number(duration.seconds) || 0) * 1000 + (Number(duration.nanos) || 0) / 1e6);
+  }
+  return null;
+};
+
+/**
+ * A single Gemini Live conversation.
+ * Each instance owns its socket, session options, counters, tools and callbacks,
+ * so several sessions can run side by side and disposing one leaves nothing behind.
+ */
+class GeminiLiveSession {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.session] - Default session options, see SessionConfig
+   * @param {Object} [options.transport] - Where to connect, see Transport. Defaults to the relay when
+   *   RELAY_URL is set, otherwise the Live API directly.
+   */
+  constructor({ session, transport } = {}) {
+    if (transport !== undefined && !isTransport(transport)) {
+      throw new Error('GeminiLiveSession: A transport needs a resolve() method');
+    }
+    this.transport = transport || createDefaultTransport();
+    this.id = nextSessionId++;
+    this.ws = null;
+    this.setupCompleted = false;
+    this.audioChunkCounter = 0; // Keep track of chunks sent
+    // Push-to-talk: true between activityStart and activityEnd on the current socket
+    this.activityActive = false;
+    // True once audio has been sent since the last audioStreamEnd on the current socket
+    this.audioStreamActive = false;
+
+    // Listeners, plus the subscription held by each legacy setOn*Callback slot
+    this._events = new EventEmitter(SESSION_EVENTS);
+    this._legacyUnsubscribers = {};
+
+    // Function calling: registered tools by name, and in-flight calls by call id
+    this.toolRegistry = new Map();
+    this.pendingToolCalls = new Map(); // id -> AbortController
+
+    // Resolved session options for the current conversation, reused on reconnect and migration
+    const errors = validateSessionOptions(session);
+    if (errors.length > 0) {
+      throw new Error(`GeminiLiveSession: Invalid session options: ${errors.join('; ')}`);
+    }
+    this.sessionOptions = resolveSessionOptions(session);
+
+    // Outbound backpressure: audio and video wait here while the socket buffer is above the high-water mark
+    this.drainTimer = null;
+    this.congested = false;
+    this.uplinkBytesPerSec = SEND_ESTIMATED_UPLINK_BYTES_PER_SEC;
+    this.estimatedUnsentBytes = 0;
+    this.estimatedAt = now();
+    this._clearSendQueue();
+
+    // Prior turns to send once the next new (not resumed) session completes setup
+    this.pendingHistory = null;
+
+    // Token usage for the current conversation, kept across reconnects
+    this.usage = new UsageTracker();
+
+    // Latency of the current conversation; playback start and stop of this session's audio come from AudioOutputService
+    this.latency = new LatencyTracker();
+    this._unsubscribePlayback = addPlaybackListener(event => this._handlePlaybackEvent(event), { sessionId: this.id });
+
+    // Protocol recording (see startProtocolRecording), and replay mode while a recording is fed back in
+    this.recorder = null;
+    this.replaying = false;
+
+    // Session resumption: latest handle from sessionResumptionUpdate
+    this.sessionHandle = null;
+
+    // GoAway migration: replacement socket that takes over once its setup completes
+    this.standbyWs = null;
+    // The socket disconnect() closed; only its close event is still handled, to report 'disconnected'
+    this.closingWs = null;
+
+    // Each open of the active socket takes a new number; an open still waiting for its transport
+    // gives up once a later one (e.g. Start, Stop, Start, or a reconnect) has been requested
+    this.socketGeneration = 0;
+    // True while a standby socket is waiting for its transport, so migrations are not started twice
+    this.openingStandby = false;
+
+    // Automatic reconnect state
+    this.manualDisconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+
+    // Debug counters, reset per connection
+    this._resetDebugCounters();
+  }
+
+  _resetDebugCounters() {
+    this.messagesReceived = 0;
+    this.receivedMessageTypes = {};
+    this.framesRejected = 0;
+    this.audioMsDropped = 0;
+    this.videoFramesDropped = 0;
+    this.hasLoggedServerContentJson = false;
+  }
+
+  /**
+   * Opens the WebSocket and sends the setup message once connected.
+   * Unexpected closes are retried automatically with exponential backoff (see _scheduleReconnect).
+   * @param {Object} [options]
+   * @param {Object} [options.session] - Session options: systemInstruction, generationConfig
+   *   ({ temperature, topP, maxOutputTokens }), speechConfig ({ voiceName, languageCode }), responseModalities, pushToTalk,
+   *   realtimeInputConfig (voice activity detection, see SessionConfig), builtInTools ({ googleSearch, codeExecution }).
+   *   Omit to keep the options this session was created or last connected with.
+   * @param {boolean} [options.resume=false] - Resume the previous conversation using the latest session handle
+   * @param {string} [options.sessionHandle] - Explicit handle to resume (overrides the tracked one)
+   * @param {Array} [options.history] - Prior turns ([{ role: 'user' | 'model', text }]) to seed a new session with,
+   *   see seedHistory(). Ignored when the session is resumed, since the server still has that context.
+   * @param {number} [options.historyTokenBudget] - Token budget for history, defaults to HISTORY_TOKEN_BUDGET
+   * @returns {boolean} - False if the session options are invalid
+   */
+  connect({ session, history, historyTokenBudget, ...options } = {}) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      log.info('WebSocket already connected.');
+      return true;
+    }
+    // e.g. a double tap on Start
+    if (this.ws && this.ws.readyState === WebSocket.CONNECTING) {
+      log.info('WebSocket already connecting.');
+      return true;
+    }
+    if (session !== undefined) {
+      const errors = validateSessionOptions(session);
+      if (errors.length > 0) {
+        log.error(`GeminiLiveSession: Invalid session options: ${errors.join('; ')}`);
+        this._events.emit('error', `Invalid session options: ${errors.join('; ')}`);
+        return false;
+      }
+      this.sessionOptions = resolveSessionOptions(session);
+    }
+
+    const resuming = !!(options.sessionHandle || (options.resume && this.sessionHandle));
+    this.pendingHistory = history && history.length > 0 && !resuming
+      ? { turns: history, tokenBudget: historyTokenBudget }
+      : null;
+
+    activeSessions.add(this);
+    this.manualDisconnect = false;
+    this.reconnectAttempts = 0;
+    this.usage.reset();
+    this.latency.reset();
+    this._clearReconnectTimer();
+    this._openSocket(options);
+    return true;
+  }
+
+  /**
+   * Creates a socket and wires its handlers.
+   * A standby socket (GoAway migration) runs setup in the background and only replaces
+   * the active socket once the server acknowledges it, see _promoteStandbySocket.
+   */
+  async _openSocket({ resume = false, sessionHandle: handle, standby = false } = {}) {
+    const resumingHandle = handle || (resume ? this.sessionHandle : null);
+    if (resume && !resumingHandle) {
+      log.info('GeminiLiveSession: No session handle available, starting a new session');
+    }
+
+    // The transport supplies the URL (with credentials, for direct connections), headers and subprotocols
+    let target;
+    // A standby keeps the current number, so a reconnect or connect() started meanwhile cancels it
+    const generation = standby ? this.socketGeneration : ++this.socketGeneration;
+    if (standby) this.openingStandby = true;
+    try {
+      target = await this.transport.resolve({ standby, backend: this.sessionOptions.backend });
+    } catch (error) {
+      log.error(`GeminiLiveSession: Unable to prepare ${this.transport.type || 'custom'} connection:`, CredentialService.redactSecrets(error?.message || String(error)));
+    } finally {
+      if (standby) this.openingStandby = false;
+    }
+
+    // The user may have stopped the conversation, or started it again, while credentials were being fetched
+    if (this.manualDisconnect) return;
+    if (generation !== this.socketGeneration) {
+      log.debug('GeminiLiveSession: A later connection attempt replaced this one');
+      return;
+    }
+
+    if (!target?.url) {
+      if (standby) {
+        // The active socket keeps running and its close triggers a normal reconnect, unless it already closed
+        if (!this.ws) {
+          this._scheduleReconnect();
+        }
+        return;
+      }
+      if (this.reconnectAttempts > 0) {
+        this._scheduleReconnect();
+      } else {
+        this._events.emit('error', this.transport.type === 'relay' ? 'Unable to reach the relay.' : 'Unable to obtain credentials.');
+      }
+      return;
+    }
+
+    const { url, protocols, headers } = target;
+    log.info(`Connecting to WebSocket (${this.transport.type || 'custom'}):`, CredentialService.redactSecrets(url));
+    // React Native takes headers as a third argument; browsers ignore it
+    const socket = headers ? new WebSocket(url, protocols, { headers }) : new WebSocket(url, protocols);
+    if (standby) {
+      this.standbyWs = socket;
+    } else {
+      if (this.ws) {
+        this._abandonSocket(this.ws);
+      }
+      this.closingWs = null;
+      this.ws = socket;
+      this.audioChunkCounter = 0; // Reset counter on new connection
+      this.setupCompleted = false;
+      this.activityActive = false;
+      this.audioStreamActive = false;
+      this._resetSendQueue();
+      this._resetDebugCounters();
+    }
+
+    // Server frames are JSON; binary ones are decoded from UTF-8, never treated as raw audio
+    socket.binaryType = 'arraybuffer';
+
+    socket.onopen = () => {
+      if (!this._isLiveSocket(socket)) return;
+      log.info(`WebSocket connected${standby ? ' (replacement session)' : ''}`);
+      this.recorder?.recordEvent('open', null, { standby });
+      this._sendInitialSetup(socket, resumingHandle);
+      if (standby) return;
+      this._events.emit('status', this.reconnectAttempts > 0 ? 'reconnected' : 'connected');
+    };
+
+    socket.onclose = (event) => {
+      if (socket === this.closingWs) {
+        this.closingWs = null;
+        this._handleDisconnectClose(event);
+        return;
+      }
+      if (!this._isLiveSocket(socket)) return;
+      log.info('WebSocket disconnected:', event.code, event.reason);
+      this.recorder?.recordEvent('close', { code: event.code, reason: event.reason }, { standby: socket === this.standbyWs });
+      if (socket === this.standbyWs) {
+        log.warn('GeminiLiveSession: Replacement session closed before it was ready');
+        this.standbyWs = null;
+        // If the old connection is already gone, fall back to the normal reconnect path
+        if (!this.ws && !this.manualDisconnect) {
+          this._scheduleReconnect();
+        }
+        return;
+      }
+      this.ws = null;
+      this.setupCompleted = false;
+      this._resetSendQueue();
+      this._abortPendingToolCalls('connection closed');
+
+      if (this.manualDisconnect) {
+        this._events.emit('status', 'disconnected');
+        return;
+      }
+
+      if (NON_RETRYABLE_CLOSE_CODES.includes(event.code)) {
+        log.error(`GeminiLiveSession: Connection closed with non-retryable code ${event.code}`);
+        this._events.emit('status', 'error');
+        return;
+      }
+
+      // The GoAway replacement takes over once its setup completes, also while it is still
+      // waiting for its transport; audio is buffered until then
+      if (this.standbyWs || this.openingStandby) {
+        log.info('GeminiLiveSession: Waiting for replacement session');
+        return;
+      }
+
+      this._scheduleReconnect();
+    };
+
+    // Errors are always followed by a close event, which decides whether to reconnect
+    socket.onerror = (error) => {
+      log.error('WebSocket error:', CredentialService.redactSecrets(error.message) || error);
+    };
+
+    // Messages keep their socket so a standby setupComplete can be told apart
+    socket.onmessage = (event) => {
+      if (!this._isLiveSocket(socket)) return;
+      this._handleSocketMessage(event, socket);
+    };
+  }
+
+  // Events from sockets that were replaced or closed are ignored
+  _isLiveSocket(socket) {
+    return socket === this.ws || socket === this.standbyWs;
+  }
+
+  // Closes a socket that is being replaced, without its events reaching the session
+  _abandonSocket(socket) {
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onclose = null;
+    socket.onerror = null;
+    if (socket.readyState === WebSocket.CONNECTING || socket.readyState === WebSocket.OPEN) {
+      socket.close();
+    }
+  }
+
+  // The close event of the socket disconnect() closed; ignored once connect() was called again
+  _handleDisconnectClose(event) {
+    log.info('WebSocket disconnected:', event.code, event.reason);
+    this.recorder?.recordEvent('close', { code: event.code, reason: event.reason }, { standby: false });
+    if (!this.manualDisconnect) return;
+    this.setupCompleted = false;
+    this._abortPendingToolCalls('connection closed');
+    this._events.emit('status', 'disconnected');
+  }
+
+  _handleSocketMessage(event, socket) {
+    // Track message count for debugging
+    this.messagesReceived++;
+
+    // Binary frames carry the same UTF-8 JSON as text frames; a Blob only shows up
+    // on platforms that ignore binaryType
+    if (typeof Blob !== 'undefined' && event.data instanceof Blob) {
+      const reader = new FileReader();
+      reader.onload = () => this._handleFrame(reader.result, socket);
+      reader.onerror = () => this._reportDiagnostic({ reason: `Unable to read binary frame: ${reader.error}` });
+      reader.readAsArrayBuffer(event.data);
+      return;
+    }
+    this._handleFrame(event.data, socket);
+  }
+
+  _handleFrame(data, socket) {
+    // Recorded before decoding, so frames that are dropped below show up in the recording too
+    this.recorder?.recordFrame('in', data, { standby: !!socket && socket === this.standbyWs });
+    const frame = parseFrame(data);
+    if (!frame.ok) {
+      this._reportDiagnostic({ reason: frame.reason, preview: frame.preview });
+      return;
+    }
+
+    try {
+      this.handleReceivedMessage(frame.message, socket);
+    } catch (error) {
+      log.error(`Error in WebSocket onmessage handler: ${error} | Stack: ${error.stack}`);
+      this._events.emit('error', 'Error processing server message');
+    }
+  }
+
+  /**
+   * Reports a frame or message that could not be decoded. These are dropped rather than
+   * guessed at, and do not surface as user-facing errors.
+   * @param {Object} diagnostic - { reason, preview?, message? }
+   */
+  _reportDiagnostic(diagnostic) {
+    this.framesRejected++;
+    log.warn(`GeminiLiveSession: Dropped server frame: ${diagnostic.reason}`);
+    this._events.emit('diagnostic', diagnostic);
+  }
+
+  // Serializes and sends a client message; every outgoing frame goes through here so it can be recorded
+  _send(socket, message) {
+    const data = JSON.stringify(message);
+    socket.send(data);
+    if (socket === this.ws) {
+      this.estimatedUnsentBytes = this._estimateUnsentBytes() + data.length;
+    }
+    this.recorder?.recordFrame('out', data, { standby: socket === this.standbyWs });
+  }
+
+  /**
+   * Changes where the session connects, e.g. to a relay, see Transport.
+   * Takes effect with the next socket; the current connection is left alone.
+   * @param {Object|null} transport - null goes back to the default transport
+   */
+  setTransport(transport) {
+    if (transport !== null && !isTransport(transport)) {
+      throw new Error('GeminiLiveSession: A transport needs a resolve() method');
+    }
+    this.transport = transport || createDefaultTransport();
+    log.info(`GeminiLiveSession: Using ${this.transport.type || 'custom'} transport`);
+  }
+
+  disconnect() {
+    this.manualDisconnect = true;
+    activeSessions.delete(this);
+    if (activeSessions.size === 0) {
+      CredentialService.clearCredential();
+    }
+
+    if (this.standbyWs) {
+      const replacement = this.standbyWs;
+      this.standbyWs = null;
+      replacement.close();
+    }
+
+    // Cancel a pending retry; there is no socket to emit the close event in that case
+    if (this.reconnectTimer) {
+      this._clearReconnectTimer();
+      this.reconnectAttempts = 0;
+      this._events.emit('status', 'disconnected');
+    }
+
+    if (this.ws) {
+      log.info('Disconnecting WebSocket...');
+      this.closingWs = this.ws;
+      this.ws = null;
+      this.closingWs.close();
+    }
+    this._resetSendQueue();
+  }
+
+  /**
+   * Disconnects and drops every listener, tool and handle so nothing leaks into a later session.
+   */
+  dispose() {
+    this.disconnect();
+    if (this.recorder) {
+      this.stopProtocolRecording(); // Saved rather than lost, it may hold the traffic of a bug
+    }
+    this._abortPendingToolCalls('session disposed');
+    this._unsubscribePlayback();
+    this.toolRegistry.clear();
+    this.sessionHandle = null;
+    this._events.removeAllListeners();
+    this._legacyUnsubscribers = {};
+  }
+
+  /**
+   * Schedules the next reconnect attempt using exponential backoff with jitter.
+   * Gives up with an 'error' status after RECONNECT_MAX_ATTEMPTS.
+   */
+  _scheduleReconnect() {
+    if (this.reconnectAttempts >= RECONNECT_MAX_ATTEMPTS) {
+      log.error(`GeminiLiveSession: Giving up after ${this.reconnectAttempts} reconnect attempts`);
+      this.reconnectAttempts = 0;
+      this._events.emit('status', 'error');
+      return;
+    }
+
+    // Equal jitter: half of the backoff is fixed, the other half random
+    const backoff = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts);
+    const delayMs = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    this.reconnectAttempts++;
+
+    log.info(`GeminiLiveSession: Reconnecting in ${delayMs}ms (attempt ${this.reconnectAttempts}/${RECONNECT_MAX_ATTEMPTS})`);
+    this._events.emit('status', 'reconnecting', { attempt: this.reconnectAttempts, maxAttempts: RECONNECT_MAX_ATTEMPTS, delayMs });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._openSocket({ resume: true });
+    }, delayMs);
+  }
+
+  _clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  _sendInitialSetup(socket, resumingHandle) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+      log.error('GeminiLiveSession: Cannot send setup - WebSocket not connected');
+      return false;
+    }
+
+    try {
+      // Build the setup message from the validated session options
+      const setupMessage = {
+        setup: {
+          ...buildSetup(this.sessionOptions),
+          // Ask the server for resumption handles; pass one in to continue a previous session
+          sessionResumption: resumingHandle ? { handle: resumingHandle } : {},
+        }
+      };
+
+      // Declare registered JavaScript tools so the model can call them
+      const functionDeclarations = this._getToolDeclarations();
+      if (functionDeclarations.length > 0) {
+        setupMessage.setup.tools = [...(setupMessage.setup.tools || []), { functionDeclarations }];
+      }
+
+      // Log information about the setup message
+      if (resumingHandle) {
+        log.info('GeminiLiveSession: Resuming previous session');
+      }
+      log.info(`GeminiLiveSession: Sending initial setup to Gemini Live API: Model: ${setupMessage.setup.model}`);
+      log.debug(() => `GeminiLiveSession: Full setup message: ${JSON.stringify(setupMessage)}`);
+
+      // Send the setup message as a JSON string
+      this._send(socket, setupMessage);
+      return true;
+    } catch (error) {
+      log.error(`GeminiLiveSession: Error sending initial setup: ${error} | Stack: ${error.stack}`);
+      return false;
+    }
+  }
+
+  /**
+   * Sends a user text turn.
+   * @param {string} text
+   * @param {Object} [options]
+   * @param {boolean} [options.turnComplete=true] - False to add context without asking the model to reply
+   */
+  sendTextInput(text, { turnComplete = true } = {}) {
+    return this.sendClientContent([{ role: 'user', parts: [{ text }] }], { turnComplete });
+  }
+
+  /**
+   * Sends content turns as clientContent.
+   * @param {Array} turns - Content objects: [{ role: 'user' | 'model', parts: [{ text }] }]
+   * @param {Object} [options]
+   * @param {boolean} [options.turnComplete=true] - Whether the model should respond after these turns
+   * @returns {boolean} - True if the message was sent
+   */
+  sendClientContent(turns, { turnComplete = true } = {}) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      log.error('WebSocket not open. Cannot send client content.');
+      return false;
+    }
+    this._send(this.ws, { clientContent: { turns, turnComplete } });
+    if (turnComplete) {
+      this.latency.markSpeechEnd();
+    }
+    log.info(`GeminiLiveSession: Sent ${turns.length} client content turn(s) (turnComplete: ${turnComplete})`);
+    return true;
+  }
+
+  /**
+   * Sends prior conversation turns as context, without asking the model to reply,
+   * so a new session continues where an earlier one ended. Oldest turns are dropped
+   * to fit the token budget.
+   * @param {Array} history - [{ role: 'user' | 'model', text }] or Content objects, oldest first
+   * @param {Object} [options]
+   * @param {number} [options.tokenBudget] - Defaults to HISTORY_TOKEN_BUDGET
+   * @returns {boolean} - True if turns were sent
+   */
+  seedHistory(history, { tokenBudget } = {}) {
+    const turns = trimToTokenBudget(toContentTurns(history), tokenBudget);
+    if (turns.length === 0) {
+      return false;
+    }
+    log.info(`GeminiLiveSession: Seeding session with ${turns.length} prior turns`);
+    return this.sendClientContent(turns, { turnComplete: false });
+  }
+
+  /**
+   * Sends audio data to the WebSocket as a realtimeInput.audio message with Base64 PCM.
+   * The audio data must be 16-bit PCM at 16kHz, mono, little-endian
+   * @param {ArrayBuffer|Int16Array|Uint8Array} audioBytes - Raw audio bytes. Views are encoded
+   *   before this returns, so the caller may reuse their memory afterwards.
+   */
+  sendAudioChunk(audioBytes) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      log.sample('audioSocketClosed').warn('GeminiLiveSession: Cannot send audio - WebSocket not open');
+      return;
+    }
+
+    // Ensure we have an ArrayBuffer or a view of one
+    if (!(audioBytes instanceof ArrayBuffer) && !ArrayBuffer.isView(audioBytes)) {
+      log.error('GeminiLiveSession: sendAudioChunk requires ArrayBuffer or a typed array, received:', typeof audioBytes);
+      return; // Stop if not binary audio
+    }
+    const bytes = audioBytes instanceof ArrayBuffer
+      ? new Uint8Array(audioBytes)
+      : new Uint8Array(audioBytes.buffer, audioBytes.byteOffset, audioBytes.byteLength);
+
+    try {
+      // Increment the counter before sending
+      this.audioChunkCounter++;
+
+      // Sent as Base64 PCM in realtimeInput.audio, or queued while the uplink is congested
+      this._sendMedia({ audio: bytes });
+      this.audioStreamActive = true;
+
+      // The last chunk with speech in it approximates the end of the user's turn for latency
+      if (pcm16Rms(bytes) >= LATENCY_SPEECH_RMS_THRESHOLD) {
+        this.latency.markSpeechSent();
+      }
+    } catch (error) {
+      log.error(`GeminiLiveSession: Error processing or sending audio chunk #${this.audioChunkCounter}: ${error} | Details: ${error.message} | Stack: ${error.stack}`);
+      this._events.emit('error', 'Error sending audio data');
+    }
+  }
+
+  /**
+   * Sends one image frame as realtimeInput.video. Frames should already be sized and
+   * rate limited, see VideoInputService.
+   * @param {string} base64Data - Base64 encoded image
+   * @param {string} [mimeType='image/jpeg'] - 'image/jpeg' or 'image/png'
+   * @returns {boolean} - True if the frame was sent, or queued behind a congested uplink
+   */
+  sendVideoFrame(base64Data, mimeType = 'image/jpeg') {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      log.warn('GeminiLiveSession: Cannot send video frame - WebSocket not open');
+      return false;
+    }
+    if (!['image/jpeg', 'image/png'].includes(mimeType)) {
+      log.error(`GeminiLiveSession: Unsupported video frame type: ${mimeType}`);
+      return false;
+    }
+    if (typeof base64Data !== 'string' || base64Data.length === 0) {
+      log.error('GeminiLiveSession: sendVideoFrame requires Base64 image data');
+      return false;
+    }
+
+    this._sendMedia({ video: { realtimeInput: { video: { mimeType, data: base64Data } } } });
+    log.debug(`🖼️ GeminiLiveSession: Sent ${mimeType} frame (${Math.round(base64Data.length * 0.75 / 1024)} KB)`);
+    return true;
+  }
+
+  /**
+   * Tells the server the microphone stream has paused (mute, stop, app in background),
+   * so it can finish the current utterance instead of waiting for more audio.
+   * The stream restarts with the next sendAudioChunk(). Push-to-talk sessions end
+   * utterances with sendActivityEnd() instead.
+   * @returns {boolean} - True if the signal was sent
+   */
+  sendAudioStreamEnd() {
+    if (!this.audioStreamActive || this.isPushToTalk()) {
+      return false;
+    }
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      return false;
+    }
+    // Audio still queued belongs before the end of the stream
+    this._flushQueuedAudio();
+    this._send(this.ws, { realtimeInput: { audioStreamEnd: true } });
+    this.audioStreamActive = false;
+    this.latency.markSpeechEnd();
+    log.debug('🎙️ GeminiLiveSession: Sent audioStreamEnd');
+    return true;
+  }
+
+  // --- Send queue --- START ---
+  //
+  // Control messages (setup, clientContent, toolResponse, activity signals) are always sent
+  // straight away. Audio and video go through _sendMedia, which queues them while the socket
+  // buffer is above SEND_HIGH_WATER_MARK_BYTES and sends them once it drains below the low-water mark.
+
+  // Bytes the socket has accepted but not written yet. React Native's WebSocket does not report
+  // bufferedAmount, so there the session's own estimate is used; a reported 0 means drained.
+  _bufferedAmount() {
+    if (this.ws && typeof this.ws.bufferedAmount === 'number') {
+      return this.ws.bufferedAmount;
+    }
+    return this._estimateUnsentBytes();
+  }
+
+  // Everything sent on the active socket, drained at the assumed uplink rate
+  _estimateUnsentBytes() {
+    const time = now();
+    const drained = (time - this.estimatedAt) * this.uplinkBytesPerSec / 1000;
+    this.estimatedAt = time;
+    this.estimatedUnsentBytes = Math.max(0, this.estimatedUnsentBytes - drained);
+    return Math.round(this.estimatedUnsentBytes);
+  }
+
+  /**
+   * Sets the uplink rate the unsent-data estimate assumes, where the socket does not report bufferedAmount.
+   * A rate below what the session sends (e.g. 16 KB/s with the microphone on) forces congestion,
+   * which is a quick way to check that media is queued and stale audio dropped.
+   * @param {number} bytesPerSec
+   */
+  setUplinkEstimate(bytesPerSec) {
+    if (!(bytesPerSec > 0)) {
+      throw new Error('GeminiLiveSession: Uplink estimate must be a positive number of bytes per second');
+    }
+    this._estimateUnsentBytes(); // Drain at the old rate up to now
+    this.uplinkBytesPerSec = bytesPerSec;
+  }
+
+  _sendMedia({ audio, video }) {
+    if (!this.congested && this._bufferedAmount() > SEND_HIGH_WATER_MARK_BYTES) {
+      this._setCongested(true);
+    }
+    if (!this.congested) {
+      this._send(this.ws, audio ? toAudioMessage(audio) : video);
+      return;
+    }
+
+    if (audio) {
+      // A copy, since the caller may reuse the memory behind the view
+      this.queuedAudio.push(audio.slice());
+      this.queuedAudioBytes += audio.byteLength;
+      // Stale audio is worth less than keeping latency bounded: drop the oldest past the limit
+      while (this.queuedAudioBytes > MAX_QUEUED_AUDIO_BYTES && this.queuedAudio.length > 1) {
+        const dropped = this.queuedAudio.shift();
+        this.queuedAudioBytes -= dropped.byteLength;
+        this.audioMsDropped += audioBytesToMs(dropped.byteLength);
+      }
+    } else {
+      // Only the latest frame matters
+      if (this.queuedVideo) {
+        this.videoFramesDropped++;
+      }
+      this.queuedVideo = video;
+    }
+    this._scheduleDrain();
+  }
+
+  _scheduleDrain() {
+    if (this.drainTimer) return;
+    this.drainTimer = setTimeout(() => {
+      this.drainTimer = null;
+      this._drainSendQueue();
+    }, SEND_DRAIN_INTERVAL_MS);
+  }
+
+  _drainSendQueue() {
+    if (!this.isConnected()) {
+      this._resetSendQueue();
+      return;
+    }
+    if (this._bufferedAmount() > SEND_LOW_WATER_MARK_BYTES) {
+      this._scheduleDrain();
+      return;
+    }
+    this._flushQueuedAudio();
+    if (this.queuedVideo) {
+      this._send(this.ws, this.queuedVideo);
+      this.queuedVideo = null;
+    }
+    this._setCongested(false);
+  }
+
+  // Sends queued audio as one merged chunk, in order
+  _flushQueuedAudio() {
+    if (this.queuedAudio.length === 0 || !this.isConnected()) return;
+    const merged = new Uint8Array(this.queuedAudioBytes);
+    let offset = 0;
+    this.queuedAudio.forEach((chunk) => {
+      merged.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+    log.debug(`GeminiLiveSession: Sending ${this.queuedAudio.length} queued audio chunks as one (${Math.round(audioBytesToMs(merged.byteLength))}ms)`);
+    this.queuedAudio = [];
+    this.queuedAudioBytes = 0;
+    this._send(this.ws, toAudioMessage(merged));
+  }
+
+  _clearSendQueue() {
+    this.queuedAudio = [];
+    this.queuedAudioBytes = 0;
+    this.queuedVideo = null;
+  }
+
+  // Drops queued media along with the socket it was meant for
+  _resetSendQueue() {
+    if (this.drainTimer) {
+      clearTimeout(this.drainTimer);
+      this.drainTimer = null;
+    }
+    if (this.queuedAudio.length > 0) {
+      log.info(`GeminiLiveSession: Dropping ${Math.round(audioBytesToMs(this.queuedAudioBytes))}ms of queued audio`);
+    }
+    this._clearSendQueue();
+    this.estimatedUnsentBytes = 0;
+    this._setCongested(false);
+  }
+
+  _setCongested(congested) {
+    if (this.congested === congested) return;
+    this.congested = congested;
+    const details = this._getCongestionDetails();
+    if (congested) {
+      log.warn(`GeminiLiveSession: Uplink congested (${details.bufferedAmount} bytes buffered), queueing audio and video`);
+    } else {
+      log.info(`GeminiLiveSession: Uplink caught up (${details.audioMsDropped}ms audio and ${details.videoFramesDropped} frames dropped so far)`);
+    }
+    this._events.emit('congestion', details);
+  }
+
+  _getCongestionDetails() {
+    return {
+      congested: this.congested,
+      bufferedAmount: this._bufferedAmount(),
+      queuedAudioMs: Math.round(audioBytesToMs(this.queuedAudioBytes)),
+      audioMsDropped: Math.round(this.audioMsDropped),
+      videoFramesDropped: this.videoFramesDropped,
+    };
+  }
+
+  // --- Send queue --- END ---
+
+  // --- Push-to-talk --- START ---
+
+  /**
+   * Marks the start of user speech. Only valid in push-to-talk sessions, where
+   * automatic activity detection is disabled and the server relies on these signals.
+   * @returns {boolean} - True if the signal was sent
+   */
+  sendActivityStart() {
+    return this._sendActivitySignal('activityStart', true);
+  }
+
+  // Marks the end of user speech; the model starts responding after this
+  sendActivityEnd() {
+    return this._sendActivitySignal('activityEnd', false);
+  }
+
+  _sendActivitySignal(signal, active) {
+    if (!this.isPushToTalk()) {
+      log.warn(`GeminiLiveSession: Ignoring ${signal} - automatic activity detection is enabled`);
+      return false;
+    }
+    if (this.activityActive === active) {
+      return false;
+    }
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      log.warn(`GeminiLiveSession: Cannot send ${signal} - WebSocket not open`);
+      return false;
+    }
+    // The utterance's queued audio has to arrive before activityEnd, or the server drops it
+    if (!active) {
+      this._flushQueuedAudio();
+    }
+    this._send(this.ws, { realtimeInput: { [signal]: {} } });
+    this.activityActive = active;
+    if (!active) {
+      this.latency.markSpeechEnd();
+    }
+    log.debug(`🎙️ GeminiLiveSession: Sent ${signal}`);
+    return true;
+  }
+
+  // --- Push-to-talk --- END ---
+
+  /**
+   * Validates a parsed server message and dispatches it on its payload type.
+   * Messages outside the Live API message union are reported on 'diagnostic' and dropped.
+   * Unknown top-level fields next to a known payload are reported, and the payload is still handled.
+   * @param {Object} message - Parsed BidiGenerateContentServerMessage
+   * @param {WebSocket} [socket] - Socket the message arrived on
+   */
+  handleReceivedMessage(message, socket) {
+    const validation = validateServerMessage(message);
+    if (!validation.ok) {
+      this._reportDiagnostic({ reason: validation.reason, message });
+      return;
+    }
+    const messageType = validation.type;
+    if (validation.unknownKeys.length > 0) {
+      log.sample('unknownFields').warn(`GeminiLiveSession: Ignoring unknown server message field(s): ${validation.unknownKeys.join(', ')}`);
+      this._events.emit('diagnostic', {
+        reason: `Unknown top-level field(s) ignored: ${validation.unknownKeys.join(', ')}`,
+        ignoredFields: validation.unknownKeys,
+        message,
+      });
+    }
+
+    // DEBUG: dump serverContent JSON once per connection; only serialized when debug logging is on
+    if (messageType === 'serverContent' && !this.hasLoggedServerContentJson) {
+      log.debug(() => `🔍 GeminiLiveSession raw serverContent: ${JSON.stringify(message, null, 2).substring(0, 500)}`);
+      this.hasLoggedServerContentJson = true;
+    }
+
+    // Count message types
+    this.receivedMessageTypes[messageType] = (this.receivedMessageTypes[messageType] || 0) + 1;
+    log.sample('messageTypes').debug(() => `Message types received so far: ${JSON.stringify(this.receivedMessageTypes)}`);
+    this._events.emit('message', message);
+
+    // Usage can ride along with any message; record it before a turnComplete in the same message closes the turn.
+    // On its own it may also trail the turnComplete, and then belongs to the turn that just ended.
+    if (message.usageMetadata) {
+      this.usage.record(message.usageMetadata, { standalone: messageType === 'usageMetadata' });
+    }
+
+    switch (messageType) {
+      case 'setupComplete':
+        // A replacement session is ready: move streaming over to it
+        if (socket && socket === this.standbyWs) {
+          this._promoteStandbySocket();
+          break;
+        }
+        log.info('🤖 Received setup completion acknowledgment. Ready for audio exchange.');
+        // Seed history before anything else is sent, so buffered audio follows it
+        if (this.pendingHistory) {
+          this.seedHistory(this.pendingHistory.turns, { tokenBudget: this.pendingHistory.tokenBudget });
+          this.pendingHistory = null;
+        }
+        this.setupCompleted = true;
+        // The connection is healthy again, so the next drop gets a fresh retry budget
+        this.reconnectAttempts = 0;
+        this._events.emit('setupComplete');
+        break;
+
+      case 'sessionResumptionUpdate': {
+        // Track the latest handle so a new connection can carry on this conversation
+        const { newHandle, resumable } = message.sessionResumptionUpdate;
+        if (resumable && newHandle) {
+          this.sessionHandle = newHandle;
+          log.debug('GeminiLiveSession: Session resumption handle updated');
+        }
+        break;
+      }
+
+      case 'goAway':
+        // The server is about to terminate this connection
+        this._handleGoAway(message.goAway);
+        break;
+
+      case 'toolCall':
+        this._handleToolCall(message.toolCall);
+        break;
+
+      case 'toolCallCancellation':
+        this._handleToolCallCancellation(message.toolCallCancellation);
+        break;
+
+      case 'serverContent':
+        this._handleServerContent(message.serverContent);
+        break;
+
+      default:
+        // Metadata-only message (usageMetadata), recorded above
+        break;
+    }
+
+    if (message.usageMetadata || message.serverContent?.turnComplete) {
+      this._events.emit('usage', this.getUsageStats());
+    }
+  }
+
+  _handleServerContent(serverContent) {
+    log.sample('serverContent').debug(`🪵 Received serverContent message with properties: ${Object.keys(serverContent).join(', ')}`);
+
+    // Handle direct inputTranscription (user's speech)
+    if (serverContent.inputTranscription && serverContent.inputTranscription.text) {
+      const transcriptText = serverContent.inputTranscription.text;
+      // Important: For user input, we need to check if this is a full sentence or just a fragment
+      // We'll use a heuristic: if the text ends with punctuation, it's likely final
+      const hasEndPunctuation = /[.?!,;]\s*$/.test(transcriptText);
+
+      // Use explicit is_final flag if provided, otherwise use our heuristic
+      const isFinal = serverContent.inputTranscription.is_final !== undefined
+        ? serverContent.inputTranscription.is_final
+        : hasEndPunctuation;
+
+      log.debug(`🪵🎙️ Input transcript: "${transcriptText}" (Final: ${isFinal}, EndPunct: ${hasEndPunctuation})`);
+      this._events.emit('transcript', { text: transcriptText, isFinal: isFinal, type: 'user' });
+    }
+
+    // Handle top-level outputTranscription (model's generated speech)
+    if (serverContent.outputTranscription && serverContent.outputTranscription.text) {
+      const transcriptText = serverContent.outputTranscription.text;
+      const isFinal = serverContent.outputTranscription.is_final || false;
+      log.debug(`🪵 🎙 Transcript (from serverContent.outputTranscription): "${transcriptText}" (Final: ${isFinal})`);
+      this._events.emit('transcript', { text: transcriptText, isFinal, type: 'model' });
+    }
+
+    // Text and audio arrive as parts of the model turn
+    const parts = serverContent.modelTurn?.parts || [];
+    if (parts.length > 0) {
+      this.usage.startTurn();
+    }
+    parts.forEach((part, index) => {
+      // Handle text parts: the streaming model reply in TEXT mode
+      if (part.text) {
+        log.debug(`🪵 Received text response in part ${index}: ${part.text}`);
+        this._events.emit('text', { text: part.text });
+      }
+
+      // Code the model ran with the codeExecution tool, and its output
+      if (part.executableCode) {
+        const { language = 'PYTHON', code } = part.executableCode;
+        log.info(`🛠️ Model executed ${language} code (${code.length} chars)`);
+        this._events.emit('codeExecution', { type: 'code', language, code });
+      }
+      if (part.codeExecutionResult) {
+        const { outcome = 'OUTCOME_UNSPECIFIED', output = '' } = part.codeExecutionResult;
+        log.info(`🛠️ Code execution result: ${outcome}`);
+        this._events.emit('codeExecution', { type: 'result', outcome, output });
+      }
+
+      // Audio is Base64 PCM in inlineData
+      if (part.inlineData) {
+        if (this.isTextMode()) {
+          // Text-only sessions never play audio
+          log.sample('ignoredAudio').debug(`🪵 Ignoring inline audio in part ${index} (text response mode)`);
+          return;
+        }
+        const { mimeType, data } = part.inlineData;
+        try {
+          const audioBuffer = Buffer.from(data, 'base64');
+          // Convert Node.js Buffer to ArrayBuffer for broader compatibility
+          const arrayBuffer = audioBuffer.buffer.slice(audioBuffer.byteOffset, audioBuffer.byteOffset + audioBuffer.byteLength);
+          this.latency.markModelAudio();
+          this._events.emit('audio', { type: 'audio', data: arrayBuffer, mimeType, sessionId: this.id });
+        } catch (decodeError) {
+          log.error(`🚨 Error decoding Base64 audio data: ${decodeError}`);
+          this._events.emit('error', 'Error decoding received audio');
+        }
+      }
+    });
+
+    // Sources from the googleSearch tool
+    if (serverContent.groundingMetadata) {
+      this._handleGroundingMetadata(serverContent.groundingMetadata);
+    }
+
+    // Check for interruptions
+    if (serverContent.interrupted) {
+      log.info('🪵 Server interruption detected.');
+      this.latency.markInterruption();
+      this._events.emit('interruption');
+    }
+
+    // Check for turn completion
+    if (serverContent.turnComplete) {
+      log.debug('🪵 Server turn complete.');
+      this.usage.completeTurn();
+      this.latency.completeTurn();
+      this._events.emit('turnComplete');
+    }
+  }
+
+  _handleGroundingMetadata(groundingMetadata) {
+    const sources = (groundingMetadata.groundingChunks || [])
+      .map(chunk => chunk.web)
+      .filter(web => web && web.uri)
+      .map(web => ({ uri: web.uri, title: web.title || web.domain || web.uri }));
+    const searchQueries = groundingMetadata.webSearchQueries || [];
+    if (sources.length === 0 && searchQueries.length === 0) return;
+
+    log.info(`🔎 Grounding: ${sources.length} sources for queries: ${searchQueries.join(', ')}`);
+    this._events.emit('grounding', { sources, searchQueries });
+  }
+
+  // --- Function calling --- START ---
+
+  /**
+   * Registers a JavaScript tool the model can call.
+   * The declaration is sent with the next setup message, so register tools before connect().
+   * @param {Object} tool
+   * @param {string} tool.name - Function name exposed to the model
+   * @param {string} [tool.description] - What the function does, shown to the model
+   * @param {Object} [tool.parameters] - JSON schema (OpenAPI subset) describing the arguments
+   * @param {Function} tool.handler - async (args, { id, signal }) => result object
+   * @returns {Function} - Unregisters the tool
+   */
+  registerTool({ name, description, parameters, handler }) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('GeminiLiveSession: Tool name must be a non-empty string');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`GeminiLiveSession: Tool "${name}" requires a handler function`);
+    }
+    if (this.toolRegistry.has(name)) {
+      log.warn(`GeminiLiveSession: Replacing existing tool "${name}"`);
+    }
+
+    const declaration = { name };
+    if (description) declaration.description = description;
+    if (parameters) declaration.parameters = parameters;
+
+    this.toolRegistry.set(name, { declaration, handler });
+    log.info(`GeminiLiveSession: Tool registered: ${name}`);
+    return () => this.unregisterTool(name);
+  }
+
+  unregisterTool(name) {
+    return this.toolRegistry.delete(name);
+  }
+
+  _getToolDeclarations() {
+    return Array.from(this.toolRegistry.values()).map(tool => tool.declaration);
+  }
+
+  /**
+   * Sends function results back to the model.
+   * @param {Array} functionResponses - [{ id, name, response }]
+   */
+  sendToolResponse(functionResponses) {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+      log.warn('GeminiLiveSession: Cannot send tool response - WebSocket not open');
+      return false;
+    }
+    this._send(this.ws, { toolResponse: { functionResponses } });
+    log.info(`GeminiLiveSession: Sent tool response for: ${functionResponses.map(r => r.name).join(', ')}`);
+    return true;
+  }
+
+  async _runToolCall({ id, name, args }) {
+    const tool = this.toolRegistry.get(name);
+    if (!tool) {
+      log.warn(`GeminiLiveSession: Model called unknown tool "${name}"`);
+      this.sendToolResponse([{ id, name, response: { error: `Unknown tool: ${name}` } }]);
+      return;
+    }
+
+    const controller = new AbortController();
+    this.pendingToolCalls.set(id, controller);
+
+    try {
+      log.info(`GeminiLiveSession: Running tool "${name}" (call ${id})`);
+      const result = await tool.handler(args || {}, { id, signal: controller.signal });
+      if (controller.signal.aborted) {
+        log.info(`GeminiLiveSession: Tool "${name}" finished after cancellation, dropping result`);
+        return;
+      }
+      this.sendToolResponse([{ id, name, response: toResponseObject(result) }]);
+    } catch (error) {
+      if (controller.signal.aborted) {
+        log.info(`GeminiLiveSession: Tool "${name}" aborted (call ${id})`);
+        return;
+      }
+      log.error(`GeminiLiveSession: Tool "${name}" failed:`, error);
+      this.sendToolResponse([{ id, name, response: { error: error?.message || String(error) } }]);
+    } finally {
+      this.pendingToolCalls.delete(id);
+    }
+  }
+
+  _handleToolCall(toolCall) {
+    const functionCalls = toolCall.functionCalls || [];
+    log.info(`🛠️ Received tool call for: ${functionCalls.map(call => call.name).join(', ')}`);
+    if (this.replaying) {
+      log.info('GeminiLiveSession: Replaying a recording, tool calls are not run');
+      return;
+    }
+    functionCalls.forEach(call => this._runToolCall(call));
+  }
+
+  _handleToolCallCancellation(cancellation) {
+    const ids = cancellation.ids || [];
+    log.info(`🛠️ Received tool call cancellation for: ${ids.join(', ')}`);
+    ids.forEach((id) => {
+      const controller = this.pendingToolCalls.get(id);
+      if (controller) {
+        controller.abort();
+        this.pendingToolCalls.delete(id);
+      }
+    });
+  }
+
+  _abortPendingToolCalls(reason) {
+    if (this.pendingToolCalls.size === 0) return;
+    log.info(`GeminiLiveSession: Aborting ${this.pendingToolCalls.size} pending tool call(s): ${reason}`);
+    this.pendingToolCalls.forEach(controller => controller.abort());
+    this.pendingToolCalls.clear();
+  }
+
+  // --- Function calling --- END ---
+
+  // --- GoAway migration --- START ---
+
+  /**
+   * Opens a replacement connection that resumes the current session.
+   * The old socket keeps streaming until the replacement acknowledges setup.
+   */
+  _handleGoAway(goAway) {
+    const timeLeftMs = parseDurationMs(goAway.timeLeft);
+    log.info(`GeminiLiveSession: GoAway received, connection ends in ${timeLeftMs ?? 'unknown'}ms`);
+    if (this.replaying) {
+      log.info('GeminiLiveSession: Replaying a recording, not opening a replacement connection');
+      return;
+    }
+    this._migrateSession({ timeLeftMs });
+  }
+
+  // Opens a standby socket with the current session options, resuming the conversation
+  _migrateSession(details) {
+    if (this.standbyWs || this.openingStandby) {
+      log.info('GeminiLiveSession: Session migration already in progress');
+      return false;
+    }
+    if (!this.sessionHandle) {
+      log.warn('GeminiLiveSession: No session handle yet, the replacement session will start without context');
+    }
+
+    this._events.emit('status', 'refreshing', details);
+    this._openSocket({ resume: true, standby: true });
+    return true;
+  }
+
+  // Swaps the standby socket in as the active one and closes the old connection
+  _promoteStandbySocket() {
+    const previous = this.ws;
+    this.ws = this.standbyWs;
+    this.standbyWs = null;
+    this.setupCompleted = true;
+    this.activityActive = false; // An utterance in progress restarts on the new socket
+    this.audioStreamActive = false;
+    this.reconnectAttempts = 0;
+    log.info('GeminiLiveSession: Replacement session ready, switched streaming over');
+
+    if (previous) {
+      previous.close();
+    }
+    this._events.emit('status', 'refreshed');
+  }
+
+  // --- GoAway migration --- END ---
+
+  /**
+   * Changes voice activity detection settings (realtimeInputConfig) for this session.
+   * They can only be set in the setup message, so a running conversation is moved to a
+   * replacement connection that resumes it, the same way as on GoAway. Until the server has sent
+   * a resumption handle, a running conversation keeps its settings rather than lose its context.
+   * @param {string|Object} profile - Name from VAD_PROFILES, or realtimeInputConfig options
+   * @returns {boolean} - False if the profile is unknown or invalid, or the conversation cannot be resumed yet
+   */
+  applyVadProfile(profile) {
+    const config = typeof profile === 'string' ? VAD_PROFILES[profile] : profile;
+    if (!config) {
+      log.error(`GeminiLiveSession: Unknown VAD profile "${profile}". Known profiles: ${Object.keys(VAD_PROFILES).join(', ')}`);
+      return false;
+    }
+    const errors = validateRealtimeInputConfig(config);
+    if (errors.length > 0) {
+      log.error(`GeminiLiveSession: Invalid VAD profile: ${errors.join('; ')}`);
+      return false;
+    }
+    const running = this.isConnected() && this.setupCompleted;
+    if (running && !this.sessionHandle) {
+      log.warn('GeminiLiveSession: No session handle yet, the VAD profile cannot be changed without losing context');
+      return false;
+    }
+
+    this.sessionOptions = resolveSessionOptions({ ...this.sessionOptions, realtimeInputConfig: config });
+    log.info(`GeminiLiveSession: VAD profile applied: ${typeof profile === 'string' ? profile : JSON.stringify(config)}`);
+
+    // Not connected: the next connect() picks the settings up
+    if (running) {
+      this._migrateSession({ reason: 'vadProfile' });
+    }
+    return true;
+  }
+
+  /**
+   * Token usage of the current conversation, from the server's usageMetadata.
+   * @returns {Object} - { turns, currentTurn, totals, currency }; each has token counts
+   *   (prompt/response totals and by modality) and an estimatedCost from the price table
+   */
+  getUsageStats() {
+    return this.usage.getStats();
+  }
+
+  /**
+   * Latency of the current conversation as percentiles, see LatencyTracker:
+   *   response      end of user speech -> first model audio (network and model)
+   *   playback      first model audio -> playback started (our output pipeline)
+   *   interruption  interruption received -> playback stopped
+   * @returns {Object} - { latency, usage, connection }; connection includes the send queue state
+   *   (see the 'congestion' event), latency metrics are
+   *   { count, min, max, mean, last, p50, p90, p95, p99 } in ms, usage is getUsageStats()
+   */
+  getStats() {
+    return {
+      latency: this.latency.getStats(),
+      usage: this.getUsageStats(),
+      connection: {
+        connected: this.isConnected(),
+        messagesReceived: this.messagesReceived,
+        framesRejected: this.framesRejected,
+        audioChunksSent: this.audioChunkCounter,
+        ...this._getCongestionDetails(),
+      },
+    };
+  }
+
+  _handlePlaybackEvent({ type, wasPlaying }) {
+    if (type === 'started') {
+      this.latency.markPlaybackStarted();
+    } else if (type === 'stopped') {
+      if (wasPlaying) {
+        this.latency.markPlaybackStopped();
+      } else {
+        this.latency.cancelInterruption();
+      }
+    }
+  }
+
+  // Replaces the price table used for cost estimates, see USAGE_PRICE_TABLE in config.js
+  setUsagePriceTable(priceTable) {
+    this.usage.setPriceTable(priceTable);
+    this._events.emit('usage', this.getUsageStats());
+  }
+
+  // --- Protocol recording --- START ---
+
+  /**
+   * Starts capturing every frame sent and received, across reconnects and migrations,
+   * until stopProtocolRecording(). A recording already running is discarded.
+   * @param {Object} [options]
+   * @param {string} [options.label] - Stored with the recording, e.g. a bug report reference
+   * @returns {ProtocolRecorder}
+   */
+  startProtocolRecording({ label } = {}) {
+    if (this.recorder) {
+      log.warn('GeminiLiveSession: Discarding the protocol recording already in progress');
+    }
+    this.recorder = new ProtocolRecorder({ label });
+    log.info(`📼 GeminiLiveSession: Protocol recording started${label ? ` (${label})` : ''}`);
+    return this.recorder;
+  }
+
+  /**
+   * Stops recording and writes the recording to a file, see ProtocolRecorder.
+   * @returns {Promise<string|null>} - File URI, or null if nothing was recorded or writing failed
+   */
+  async stopProtocolRecording() {
+    const recorder = this.recorder;
+    this.recorder = null;
+    if (!recorder) {
+      return null;
+    }
+    return recorder.save();
+  }
+
+  isProtocolRecording() {
+    return this.recorder !== null;
+  }
+
+  // Set by replayRecording(): incoming messages come from a recording, so nothing is sent back
+  setReplayMode(enabled) {
+    this.replaying = enabled;
+  }
+
+  // --- Protocol recording --- END ---
+
+  // Latest resumable session handle, or null if the server has not sent one yet
+  getSessionHandle() {
+    return this.sessionHandle;
+  }
+
+  // Forget the tracked handle so the next connect({ resume: true }) starts a new conversation
+  clearSessionHandle() {
+    this.sessionHandle = null;
+  }
+
+  // --- Events --- START ---
+
+  /**
+   * Subscribes to a session event (see SESSION_EVENTS).
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {Function} - Unsubscribes this listener
+   */
+  on(event, listener) {
+    return this._events.on(event, listener);
+  }
+
+  // Like on(), but the listener is removed after its first call
+  once(event, listener) {
+    return this._events.once(event, listener);
+  }
+
+  off(event, listener) {
+    this._events.off(event, listener);
+  }
+
+  // Legacy setters keep their single-slot behavior: a new callback replaces the one set before
+  _setLegacyCallback(setterName, callback) {
+    this._legacyUnsubscribers[setterName]?.();
+    delete this._legacyUnsubscribers[setterName];
+    if (callback) {
+      this._legacyUnsubscribers[setterName] = this._events.on(LEGACY_CALLBACK_EVENTS[setterName], callback);
+    }
+  }
+
+  setOnMessageCallback(callback) {
+    this._setLegacyCallback('setOnMessageCallback', callback);
+  }
+
+  setOnStatusUpdateCallback(callback) {
+    this._setLegacyCallback('setOnStatusUpdateCallback', callback);
+  }
+
+  setOnErrorCallback(callback) {
+    this._setLegacyCallback('setOnErrorCallback', callback);
+  }
+
+  setOnInterruptionCallback(callback) {
+    this._setLegacyCallback('setOnInterruptionCallback', callback);
+  }
+
+  setOnTurnCompleteCallback(callback) {
+    this._setLegacyCallback('setOnTurnCompleteCallback', callback);
+  }
+
+  setOnTranscriptCallback(callback) {
+    this._setLegacyCallback('setOnTranscriptCallback', callback);
+  }
+
+  setOnTextCallback(callback) {
+    this._setLegacyCallback('setOnTextCallback', callback);
+  }
+
+  // --- Events --- END ---
+
+  // True when the current session asked for text instead of audio replies
+  isTextMode() {
+    return this.sessionOptions.responseModalities.includes('TEXT');
+  }
+
+  // True when the current session uses manual activity signals instead of server-side detection
+  isPushToTalk() {
+    return this.sessionOptions.pushToTalk === true;
+  }
+
+  // True while user speech is marked active with activityStart
+  isActivityActive() {
+    return this.activityActive;
+  }
+
+  // Returns true if the WebSocket is connected
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  // Returns true if the setup process has been completed
+  isSetupComplete() {
+    return this.setupCompleted;
+  }
+
+  // Returns true while the session is retrying a dropped connection
+  isReconnecting() {
+    return this.reconnectTimer !== null || (this.reconnectAttempts > 0 && !this.setupCompleted);
+  }
+}
+
+export default GeminiLiveSession;
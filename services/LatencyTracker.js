@@ -0,0 +1,130 @@
+// services/LatencyTracker.js
+// End-to-end latency measurements with percentiles
+
+import { LATENCY_SAMPLE_WINDOW } from '../config';
+
+/**
+ * Measured intervals:
+ *   response      user end of speech (or last speech sent) -> first model audio received   network + model
+ *   playback      first model audio received -> playback started in AudioOutputService     our own output pipeline
+ *   interruption  interruption received -> playback stopped                               how fast barge-in goes quiet
+ */
+export const LATENCY_METRICS = ['response', 'playback', 'interruption'];
+
+const PERCENTILES = [50, 90, 95, 99];
+
+// Monotonic milliseconds, so device clock changes do not show up as latency
+export const now = () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
+
+// Nearest-rank percentile of a sorted array
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+
+const summarize = (samples) => {
+  if (samples.length === 0) {
+    return { count: 0 };
+  }
+  const sorted = [...samples].sort((a, b) => a - b);
+  const summary = {
+    count: samples.length,
+    min: Math.round(sorted[0]),
+    max: Math.round(sorted[sorted.length - 1]),
+    mean: Math.round(samples.reduce((sum, ms) => sum + ms, 0) / samples.length),
+    last: Math.round(samples[samples.length - 1]),
+  };
+  PERCENTILES.forEach((p) => {
+    summary[`p${p}`] = Math.round(percentile(sorted, p));
+  });
+  return summary;
+};
+
+/**
+ * Timestamps the points of a turn and keeps the latest LATENCY_SAMPLE_WINDOW measurements
+ * of each metric. All times come from now().
+ */
+class LatencyTracker {
+  constructor(windowSize = LATENCY_SAMPLE_WINDOW) {
+    this.windowSize = windowSize;
+    this.reset();
+  }
+
+  reset() {
+    this.samples = Object.fromEntries(LATENCY_METRICS.map(metric => [metric, []]));
+    this._resetTurn();
+    // Playback runs behind the protocol, so these outlive the turn that set them
+    this.awaitingPlaybackSince = null; // first model audio of a reply that has not started playing yet
+    this.interruptedAt = null;
+  }
+
+  _resetTurn() {
+    this.speechEndAt = null;      // activityEnd, audioStreamEnd or a text turn sent
+    this.lastSpeechSentAt = null; // latest microphone chunk that contained speech
+    this.firstAudioAt = null;     // first model audio of the current reply
+  }
+
+  _add(metric, ms) {
+    const samples = this.samples[metric];
+    samples.push(ms);
+    if (samples.length > this.windowSize) {
+      samples.shift();
+    }
+  }
+
+  // An explicit end of user input: activityEnd, audioStreamEnd, or a text turn
+  markSpeechEnd(at = now()) {
+    this.speechEndAt = at;
+  }
+
+  // A microphone chunk with speech in it; the last one stands in for end of speech when the server detects activity
+  markSpeechSent(at = now()) {
+    this.lastSpeechSentAt = at;
+    this.speechEndAt = null; // The user is still talking
+  }
+
+  markModelAudio(at = now()) {
+    if (this.firstAudioAt !== null) return;
+    this.firstAudioAt = at;
+    this.awaitingPlaybackSince = at;
+    const userDoneAt = this.speechEndAt ?? this.lastSpeechSentAt;
+    if (userDoneAt !== null) {
+      this._add('response', at - userDoneAt);
+    }
+  }
+
+  markPlaybackStarted(at = now()) {
+    if (this.awaitingPlaybackSince === null) return;
+    this._add('playback', at - this.awaitingPlaybackSince);
+    this.awaitingPlaybackSince = null;
+  }
+
+  // The reply in progress is cut off; audio not played yet never will be
+  markInterruption(at = now()) {
+    this.interruptedAt = at;
+    this.awaitingPlaybackSince = null;
+    this._resetTurn();
+  }
+
+  markPlaybackStopped(at = now()) {
+    if (this.interruptedAt === null) return;
+    this._add('interruption', at - this.interruptedAt);
+    this.interruptedAt = null;
+  }
+
+  // Playback was cleared while nothing was audible, so there was no silence to wait for
+  cancelInterruption() {
+    this.interruptedAt = null;
+  }
+
+  // The model reply ended; the next reply is a new measurement
+  completeTurn() {
+    this._resetTurn();
+  }
+
+  /**
+   * @returns {Object} - { response, playback, interruption }, each { count, min, max, mean, last, p50, p90, p95, p99 } in ms
+   */
+  getStats() {
+    return Object.fromEntries(LATENCY_METRICS.map(metric => [metric, summarize(this.samples[metric])]));
+  }
+}
+
+export default LatencyTracker;
@@ -0,0 +1,213 @@
+// services/LiveMessageDecoder.js
+// Decoding and validation of BidiGenerateContentServerMessage frames
+//
+// Every server frame is a UTF-8 JSON object, whether it arrives as a text or a binary
+// WebSocket frame. Audio is always Base64 inside serverContent.modelTurn.parts[].inlineData,
+// so frames are never sniffed for raw PCM: anything that does not decode to a known
+// message shape is rejected with a reason for the diagnostics channel. Top-level fields
+// added to the API later are reported but do not cost the known payload next to them.
+
+// Exactly one of these is set on each server message
+const PAYLOAD_KEYS = [
+  'setupComplete',
+  'serverContent',
+  'toolCall',
+  'toolCallCancellation',
+  'goAway',
+  'sessionResumptionUpdate',
+];
+
+// May accompany any payload, or arrive on its own
+const METADATA_KEYS = ['usageMetadata'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkOptionalType = (errors, path, value, type) => {
+  if (value !== undefined && typeof value !== type) {
+    errors.push(`${path} must be a ${type}`);
+  }
+};
+
+const validateTranscription = (errors, path, transcription) => {
+  if (transcription === undefined) return;
+  if (!isPlainObject(transcription)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  checkOptionalType(errors, `${path}.text`, transcription.text, 'string');
+};
+
+const validatePart = (errors, path, part) => {
+  if (!isPlainObject(part)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  checkOptionalType(errors, `${path}.text`, part.text, 'string');
+  if (part.executableCode !== undefined && !(isPlainObject(part.executableCode) && typeof part.executableCode.code === 'string')) {
+    errors.push(`${path}.executableCode.code must be a string`);
+  }
+  if (part.codeExecutionResult !== undefined) {
+    if (!isPlainObject(part.codeExecutionResult)) {
+      errors.push(`${path}.codeExecutionResult must be an object`);
+    } else {
+      checkOptionalType(errors, `${path}.codeExecutionResult.output`, part.codeExecutionResult.output, 'string');
+    }
+  }
+  if (part.inlineData !== undefined) {
+    if (!isPlainObject(part.inlineData)) {
+      errors.push(`${path}.inlineData must be an object`);
+    } else {
+      if (typeof part.inlineData.mimeType !== 'string') errors.push(`${path}.inlineData.mimeType must be a string`);
+      if (typeof part.inlineData.data !== 'string') errors.push(`${path}.inlineData.data must be a Base64 string`);
+    }
+  }
+};
+
+const VALIDATORS = {
+  setupComplete: (errors, value) => {
+    if (!isPlainObject(value)) errors.push('setupComplete must be an object');
+  },
+
+  serverContent: (errors, value) => {
+    if (!isPlainObject(value)) {
+      errors.push('serverContent must be an object');
+      return;
+    }
+    if (value.modelTurn !== undefined) {
+      if (!isPlainObject(value.modelTurn) || !Array.isArray(value.modelTurn.parts ?? [])) {
+        errors.push('serverContent.modelTurn.parts must be an array');
+      } else {
+        (value.modelTurn.parts || []).forEach((part, index) => validatePart(errors, `serverContent.modelTurn.parts[${index}]`, part));
+      }
+    }
+    validateTranscription(errors, 'serverContent.inputTranscription', value.inputTranscription);
+    validateTranscription(errors, 'serverContent.outputTranscription', value.outputTranscription);
+    checkOptionalType(errors, 'serverContent.interrupted', value.interrupted, 'boolean');
+    checkOptionalType(errors, 'serverContent.turnComplete', value.turnComplete, 'boolean');
+    checkOptionalType(errors, 'serverContent.generationComplete', value.generationComplete, 'boolean');
+    if (value.groundingMetadata !== undefined) {
+      const { groundingMetadata } = value;
+      if (!isPlainObject(groundingMetadata)) {
+        errors.push('serverContent.groundingMetadata must be an object');
+      } else {
+        if (groundingMetadata.groundingChunks !== undefined && !Array.isArray(groundingMetadata.groundingChunks)) {
+          errors.push('serverContent.groundingMetadata.groundingChunks must be an array');
+        }
+        if (groundingMetadata.webSearchQueries !== undefined && !Array.isArray(groundingMetadata.webSearchQueries)) {
+          errors.push('serverContent.groundingMetadata.webSearchQueries must be an array');
+        }
+      }
+    }
+  },
+
+  toolCall: (errors, value) => {
+    if (!isPlainObject(value) || !Array.isArray(value.functionCalls)) {
+      errors.push('toolCall.functionCalls must be an array');
+      return;
+    }
+    value.functionCalls.forEach((call, index) => {
+      if (!isPlainObject(call) || typeof call.name !== 'string') {
+        errors.push(`toolCall.functionCalls[${index}].name must be a string`);
+      }
+    });
+  },
+
+  toolCallCancellation: (errors, value) => {
+    if (!isPlainObject(value) || !Array.isArray(value.ids) || !value.ids.every(id => typeof id === 'string')) {
+      errors.push('toolCallCancellation.ids must be an array of strings');
+    }
+  },
+
+  goAway: (errors, value) => {
+    if (!isPlainObject(value)) {
+      errors.push('goAway must be an object');
+      return;
+    }
+    if (value.timeLeft !== undefined && typeof value.timeLeft !== 'string' && !isPlainObject(value.timeLeft)) {
+      errors.push('goAway.timeLeft must be a duration');
+    }
+  },
+
+  sessionResumptionUpdate: (errors, value) => {
+    if (!isPlainObject(value)) {
+      errors.push('sessionResumptionUpdate must be an object');
+      return;
+    }
+    checkOptionalType(errors, 'sessionResumptionUpdate.newHandle', value.newHandle, 'string');
+    checkOptionalType(errors, 'sessionResumptionUpdate.resumable', value.resumable, 'boolean');
+  },
+
+  usageMetadata: (errors, value) => {
+    if (!isPlainObject(value)) errors.push('usageMetadata must be an object');
+  },
+};
+
+/**
+ * Parses a raw WebSocket frame into a JSON object.
+ * @param {string|ArrayBuffer} data - Frame payload
+ * @returns {{ok: true, message: Object} | {ok: false, reason: string, preview: string}}
+ */
+export const parseFrame = (data) => {
+  let text;
+  if (typeof data === 'string') {
+    text = data;
+  } else if (data instanceof ArrayBuffer) {
+    try {
+      text = new TextDecoder('utf-8', { fatal: true }).decode(new Uint8Array(data));
+    } catch (error) {
+      return { ok: false, reason: 'Binary frame is not valid UTF-8', preview: `${data.byteLength} bytes` };
+    }
+  } else {
+    return { ok: false, reason: `Unsupported frame type: ${typeof data}`, preview: '' };
+  }
+
+  try {
+    const message = JSON.parse(text);
+    if (!isPlainObject(message)) {
+      return { ok: false, reason: 'Frame is not a JSON object', preview: text.substring(0, 200) };
+    }
+    return { ok: true, message };
+  } catch (error) {
+    return { ok: false, reason: `Frame is not valid JSON: ${error.message}`, preview: text.substring(0, 200) };
+  }
+};
+
+/**
+ * Validates a parsed server message and identifies its type.
+ * @param {Object} message
+ * @returns {{ok: true, type: string, unknownKeys: string[]} | {ok: false, reason: string}}
+ *   type is the payload key, or 'usageMetadata' for metadata-only messages.
+ *   unknownKeys are top-level fields this client does not know; they are left unvalidated.
+ */
+export const validateServerMessage = (message) => {
+  if (!isPlainObject(message)) {
+    return { ok: false, reason: 'Message is not an object' };
+  }
+
+  const unknownKeys = Object.keys(message).filter(key => !PAYLOAD_KEYS.includes(key) && !METADATA_KEYS.includes(key));
+  const keys = Object.keys(message).filter(key => !unknownKeys.includes(key));
+
+  const payloadKeys = keys.filter(key => PAYLOAD_KEYS.includes(key));
+  if (payloadKeys.length > 1) {
+    return { ok: false, reason: `Message has more than one payload: ${payloadKeys.join(', ')}` };
+  }
+  const type = payloadKeys[0] || (message.usageMetadata !== undefined ? 'usageMetadata' : null);
+  if (!type) {
+    return {
+      ok: false,
+      reason: unknownKeys.length > 0 ? `Unknown top-level field(s) only: ${unknownKeys.join(', ')}` : 'Message has no payload',
+    };
+  }
+
+  const errors = [];
+  keys.forEach(key => VALIDATORS[key](errors, message[key]));
+  if (errors.length > 0) {
+    return { ok: false, reason: errors.join('; ') };
+  }
+  return { ok: true, type, unknownKeys };
+};
+
+export default {
+  parseFrame,
+  validateServerMessage,
+};
@@ -0,0 +1,255 @@
+// services/Logger.js
+// Rule XII: Logging - namespaced, level-controlled output with pluggable sinks
+
+import * as FileSystem from 'expo-file-system';
+import { LOG_DEFAULT_LEVEL, LOG_NAMESPACE_LEVELS, LOG_SAMPLE_EVERY } from '../config';
+
+// Namespaces used by the app; any other name works too and follows the default level
+export const LOG_NAMESPACES = ['ws', 'input', 'output', 'webrtc', 'ui'];
+
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+// Runtime state, see setLevel/addSink/setSampleEvery
+let defaultLevel = LOG_DEFAULT_LEVEL;
+const namespaceLevels = { ...LOG_NAMESPACE_LEVELS };
+const sampleCounters = {}; // 'namespace:key' -> calls seen
+const sampleOverrides = {}; // 'namespace:key' -> every, set at runtime
+let sinks = [];
+
+const levelOf = (namespace) => namespaceLevels[namespace] || defaultLevel;
+
+const isEnabled = (namespace, level) => LOG_LEVELS[level] >= LOG_LEVELS[levelOf(namespace)];
+
+const formatArg = (arg) => {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return arg.stack || `${arg.name}: ${arg.message}`;
+  try {
+    return JSON.stringify(arg);
+  } catch (error) {
+    return String(arg);
+  }
+};
+
+// One line of text for sinks that store or write entries
+export const formatEntry = ({ time, level, namespace, message, args }) => [
+  new Date(time).toISOString(),
+  level.toUpperCase().padEnd(5),
+  `[${namespace}]`,
+  message,
+  ...args.map(formatArg),
+].join(' ');
+
+// Sinks must never break the code that logs
+const dispatch = (entry) => {
+  sinks.forEach((sink) => {
+    try {
+      sink.write(entry);
+    } catch (error) {
+      console.error('Logger: Sink failed:', error);
+    }
+  });
+};
+
+/**
+ * Writes one entry. The message may be a function, which is only called when the level is
+ * enabled, so expensive messages (e.g. JSON.stringify of a server message) cost nothing when filtered out.
+ */
+const write = (namespace, level, message, args, sampleNote) => {
+  const text = typeof message === 'function' ? message() : formatArg(message);
+  dispatch({
+    time: Date.now(),
+    level,
+    namespace,
+    message: sampleNote ? `${text} ${sampleNote}` : text,
+    args,
+  });
+};
+
+// sampler returns a note to append to the message, or null to skip the call
+const levelMethods = (namespace, sampler) => Object.fromEntries(
+  ['debug', 'info', 'warn', 'error'].map(level => [level, (message, ...args) => {
+    if (!isEnabled(namespace, level)) return;
+    const note = sampler ? sampler() : '';
+    if (note === null) return;
+    write(namespace, level, message, args, note);
+  }]),
+);
+
+/**
+ * Creates a logger for a namespace.
+ * log.sample(key, every) returns the same level methods, but only every Nth call for that key
+ * is written; use it on hot paths such as per-chunk audio logs.
+ * @param {string} namespace - One of LOG_NAMESPACES, or any other name
+ * @returns {{ debug, info, warn, error, sample, isEnabled }}
+ */
+export const createLogger = (namespace) => ({
+  ...levelMethods(namespace),
+  sample: (key, every = LOG_SAMPLE_EVERY) => levelMethods(namespace, () => {
+    const counterKey = `${namespace}:${key}`;
+    const rate = sampleOverrides[counterKey] || every;
+    const count = (sampleCounters[counterKey] || 0) + 1;
+    sampleCounters[counterKey] = count;
+    if (rate <= 1) return '';
+    return (count - 1) % rate === 0 ? `(sampled 1/${rate})` : null;
+  }),
+  isEnabled: level => isEnabled(namespace, level),
+});
+
+/**
+ * Sets the level of one namespace, or the default level when called with a level only.
+ * setLevel('ws', null) makes the namespace follow the default again.
+ */
+export const setLevel = (namespaceOrLevel, level) => {
+  if (level === undefined) {
+    if (!LOG_LEVELS[namespaceOrLevel]) {
+      throw new Error(`Logger: Unknown level "${namespaceOrLevel}". Levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+    defaultLevel = namespaceOrLevel;
+    return;
+  }
+  if (level === null) {
+    delete namespaceLevels[namespaceOrLevel];
+    return;
+  }
+  if (!LOG_LEVELS[level]) {
+    throw new Error(`Logger: Unknown level "${level}". Levels: ${Object.keys(LOG_LEVELS).join(', ')}`);
+  }
+  namespaceLevels[namespaceOrLevel] = level;
+};
+
+// { default, ...namespace levels }
+export const getLevels = () => ({ default: defaultLevel, ...namespaceLevels });
+
+// Changes how often a sampled call site writes, e.g. setSampleEvery('output', 'audioChunk', 1) to see every chunk
+export const setSampleEvery = (namespace, key, every) => {
+  if (!(every >= 1)) {
+    throw new Error('Logger: Sample rate must be at least 1');
+  }
+  sampleOverrides[`${namespace}:${key}`] = Math.floor(every);
+};
+
+/**
+ * Adds a sink: an object with write(entry), where entry is { time, level, namespace, message, args }.
+ * @returns {Function} - Removes the sink
+ */
+export const addSink = (sink) => {
+  if (!sink || typeof sink.write !== 'function') {
+    throw new Error('Logger: A sink needs a write(entry) method');
+  }
+  sinks = [...sinks, sink];
+  return () => removeSink(sink);
+};
+
+export const removeSink = (sink) => {
+  sinks = sinks.filter(existing => existing !== sink);
+};
+
+// Replaces every sink, e.g. setSinks([]) to silence all output
+export const setSinks = (newSinks) => {
+  sinks = [];
+  newSinks.forEach(addSink);
+};
+
+// --- Sinks --- START ---
+
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+// Writes to the console (Metro / device logs), keeping errors and warnings visible as such
+export const createConsoleSink = () => ({
+  write: ({ level, namespace, message, args }) => {
+    console[CONSOLE_METHODS[level]](`[${namespace}] ${message}`, ...args);
+  },
+});
+
+/**
+ * Keeps the latest entries in memory, e.g. to attach to a bug report.
+ * @param {Object} [options]
+ * @param {number} [options.size=500] - Entries kept; older ones are dropped
+ */
+export const createRingBufferSink = ({ size = 500 } = {}) => {
+  const entries = new Array(size);
+  let next = 0;
+  let count = 0;
+  // Oldest first
+  const getEntries = () => Array.from({ length: count }, (_, i) => entries[(next - count + i + size) % size]);
+  return {
+    write: (entry) => {
+      entries[next] = entry;
+      next = (next + 1) % size;
+      count = Math.min(count + 1, size);
+    },
+    getEntries,
+    toText: () => getEntries().map(formatEntry).join('\n'),
+    clear: () => {
+      next = 0;
+      count = 0;
+    },
+  };
+};
+
+/**
+ * Writes entries to a text file. Lines are buffered and the file is rewritten on each flush,
+ * keeping the latest maxLines, so writes stay off the hot path.
+ * @param {Object} [options]
+ * @param {string} [options.uri] - Defaults to documentDirectory/app.log
+ * @param {number} [options.maxLines=2000]
+ * @param {number} [options.flushIntervalMs=2000]
+ */
+export const createFileSink = ({ uri = `${FileSystem.documentDirectory}app.log`, maxLines = 2000, flushIntervalMs = 2000 } = {}) => {
+  let lines = [];
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  const flush = () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    const content = lines.join('\n');
+    writing = writing
+      .then(() => FileSystem.writeAsStringAsync(uri, content))
+      .catch(error => console.error('Logger: Error writing log file:', error));
+    return writing;
+  };
+
+  return {
+    uri,
+    write: (entry) => {
+      lines.push(formatEntry(entry));
+      if (lines.length > maxLines) {
+        lines = lines.slice(lines.length - maxLines);
+      }
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, flushIntervalMs);
+      }
+    },
+    flush,
+  };
+};
+
+// --- Sinks --- END ---
+
+// Console output unless the app replaces the sinks
+addSink(createConsoleSink());
+
+export default {
+  LOG_NAMESPACES,
+  LOG_LEVELS,
+  createLogger,
+  setLevel,
+  getLevels,
+  setSampleEvery,
+  addSink,
+  removeSink,
+  setSinks,
+  createConsoleSink,
+  createRingBufferSink,
+  createFileSink,
+  formatEntry,
+};
@@ -3,6 +3,9 @@
 
 import { PermissionsAndroid, Platform } from 'react-native';
 import { Audio } from 'expo-av';
+import { createLogger } from './Logger';
+
+const log = createLogger('input');
 
 const requestMicrophonePermission = async () => {
   if (Platform.OS === 'android') {
@@ -19,14 +22,14 @@ const requestMicrophonePermission = async () => {
         },
       );
       if (granted === PermissionsAndroid.RESULTS.GRANTED) {
-        console.log('PermissionsService: Microphone permission granted (Android)');
+        log.info('PermissionsService: Microphone permission granted (Android)');
         return true;
       } else {
-        console.log('PermissionsService: Microphone permission denied (Android)');
+        log.info('PermissionsService: Microphone permission denied (Android)');
         return false;
       }
     } catch (err) {
-      console.warn('PermissionsService: Error requesting microphone permission (Android):', err);
+      log.warn('PermissionsService: Error requesting microphone permission (Android):', err);
       return false;
     }
   } else if (Platform.OS === 'ios') {
@@ -34,10 +37,10 @@ const requestMicrophonePermission = async () => {
       // Request permissions using expo-av
       const result = await Audio.requestPermissionsAsync();
       const granted = result.granted || result.status === 'granted';
-      console.log(`PermissionsService: Microphone permission ${granted ? 'granted' : 'denied'} (iOS)`);
+      log.info(`PermissionsService: Microphone permission ${granted ? 'granted' : 'denied'} (iOS)`);
       return granted;
     } catch (err) {
-      console.warn('PermissionsService: Error requesting microphone permission (iOS):', err);
+      log.warn('PermissionsService: Error requesting microphone permission (iOS):', err);
       return false;
     }
   }
@@ -0,0 +1,239 @@
+// services/ProtocolRecorder.js
+// Rule XI: Protocol Recording - capture and replay Live API traffic
+
+import * as FileSystem from 'expo-file-system';
+import { Buffer } from 'buffer';
+import { PROTOCOL_RECORDING_MAX_BYTES } from '../config';
+import { parseFrame } from './LiveMessageDecoder';
+import AudioOutputService from './AudioOutputService';
+import { createLogger } from './Logger';
+
+const log = createLogger('ws');
+
+const RECORDINGS_DIR = `${FileSystem.documentDirectory}protocol_recordings/`;
+const RECORDING_VERSION = 1;
+
+// Monotonic milliseconds; Date.now() can jump when the device clock is adjusted
+const now = () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Binary frames are stored as Base64 so the file stays JSON
+const encodeFrameData = (data) => {
+  if (typeof data === 'string') {
+    return { data };
+  }
+  if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    const bytes = data instanceof ArrayBuffer ? Buffer.from(data) : Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    return { data: bytes.toString('base64'), encoding: 'base64' };
+  }
+  return { data: String(data) };
+};
+
+const decodeFrameData = ({ data, encoding }) => {
+  if (encoding !== 'base64') {
+    return data;
+  }
+  const bytes = Buffer.from(data, 'base64');
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+/**
+ * Captures every frame a session sends and receives, plus socket lifecycle events,
+ * with a monotonic timestamp relative to the start of the recording.
+ * Entries: { t, dir: 'out' | 'in' | 'event', data?, encoding?, event?, details?, standby? }
+ * Frames past PROTOCOL_RECORDING_MAX_BYTES are dropped and the recording is marked truncated.
+ */
+class ProtocolRecorder {
+  constructor({ label, maxBytes = PROTOCOL_RECORDING_MAX_BYTES } = {}) {
+    this.label = label || null;
+    this.maxBytes = maxBytes;
+    this.startedAt = new Date().toISOString();
+    this.startTime = now();
+    this.entries = [];
+    this.bytes = 0;
+    this.truncated = false;
+  }
+
+  /**
+   * @param {string} dir - 'out' or 'in'
+   * @param {string|ArrayBuffer} data - The frame exactly as sent or received
+   * @param {Object} [options]
+   * @param {boolean} [options.standby=false] - Frame belongs to a GoAway replacement socket
+   */
+  recordFrame(dir, data, { standby = false } = {}) {
+    if (this.truncated) return;
+    const encoded = encodeFrameData(data);
+    if (this.bytes + encoded.data.length > this.maxBytes) {
+      this.truncated = true;
+      log.warn(`ProtocolRecorder: Recording reached ${Math.round(this.maxBytes / 1048576)} MB, later frames are not recorded`);
+      this.recordEvent('truncated');
+      return;
+    }
+    this.bytes += encoded.data.length;
+    this.entries.push({ t: this._elapsed(), dir, ...encoded, ...(standby && { standby: true }) });
+  }
+
+  // Socket lifecycle markers (open, close, ...) so gaps in the traffic can be explained
+  recordEvent(event, details, { standby = false } = {}) {
+    this.entries.push({ t: this._elapsed(), dir: 'event', event, ...(details && { details }), ...(standby && { standby: true }) });
+  }
+
+  _elapsed() {
+    return Math.round((now() - this.startTime) * 10) / 10;
+  }
+
+  toJSON() {
+    return {
+      version: RECORDING_VERSION,
+      label: this.label,
+      startedAt: this.startedAt,
+      truncated: this.truncated,
+      entries: this.entries,
+    };
+  }
+
+  /**
+   * Writes the recording to the recordings directory.
+   * @returns {Promise<string|null>} - File URI, or null if writing failed
+   */
+  async save() {
+    try {
+      await FileSystem.makeDirectoryAsync(RECORDINGS_DIR, { intermediates: true }).catch(() => {});
+      const uri = `${RECORDINGS_DIR}recording_${this.startedAt.replace(/[:.]/g, '-')}.json`;
+      await FileSystem.writeAsStringAsync(uri, JSON.stringify(this.toJSON()));
+      log.info(`📼 ProtocolRecorder: Saved ${this.entries.length} entries to ${uri}`);
+      return uri;
+    } catch (error) {
+      log.error('ProtocolRecorder: Error saving recording:', error);
+      return null;
+    }
+  }
+}
+
+// Newest first
+const listRecordings = async () => {
+  try {
+    const info = await FileSystem.getInfoAsync(RECORDINGS_DIR);
+    if (!info.exists) return [];
+    const files = await FileSystem.readDirectoryAsync(RECORDINGS_DIR);
+    return files
+      .filter(name => name.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(name => `${RECORDINGS_DIR}${name}`);
+  } catch (error) {
+    log.error('ProtocolRecorder: Error listing recordings:', error);
+    return [];
+  }
+};
+
+const loadRecording = async (uri) => {
+  const recording = JSON.parse(await FileSystem.readAsStringAsync(uri));
+  if (!recording || recording.version !== RECORDING_VERSION || !Array.isArray(recording.entries)) {
+    throw new Error(`ProtocolRecorder: ${uri} is not a version ${RECORDING_VERSION} protocol recording`);
+  }
+  return recording;
+};
+
+const deleteRecording = async (uri) => {
+  try {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+    return true;
+  } catch (error) {
+    log.error('ProtocolRecorder: Error deleting recording:', error);
+    return false;
+  }
+};
+
+/**
+ * Feeds the incoming frames of a recording back through session.handleReceivedMessage()
+ * at their original timing, so the events (and the audio) come out as they did live.
+ * The session is put in replay mode: GoAway does not open a new connection and tool calls are not run.
+ * Use a session that is not connected, e.g. a new GeminiLiveSession.
+ * @param {string|Object} source - File URI or a loaded recording
+ * @param {Object} options
+ * @param {GeminiLiveSession} options.session
+ * @param {number} [options.speed=1] - Playback rate; 2 replays twice as fast
+ * @param {boolean} [options.playAudio=true] - Play model audio with AudioOutputService. Turn off
+ *   when something else already plays the session's audio events.
+ * @param {boolean} [options.includeStandby=false] - Also replay frames received on GoAway replacement sockets
+ * @returns {{ done: Promise<number>, stop: Function }} - done resolves with the number of frames replayed
+ */
+const replayRecording = (source, { session, speed = 1, playAudio = true, includeStandby = false } = {}) => {
+  if (!session) {
+    throw new Error('ProtocolRecorder: replayRecording requires a session');
+  }
+  if (session.isConnected()) {
+    throw new Error('ProtocolRecorder: Cannot replay into a connected session');
+  }
+  if (!(speed > 0)) {
+    throw new Error('ProtocolRecorder: Replay speed must be a positive number');
+  }
+
+  let stopped = false;
+  const unsubscribers = playAudio
+    ? [
+      session.on('audio', audio => AudioOutputService.playAudioChunk(audio)),
+      session.on('interruption', () => AudioOutputService.clearPlaybackQueue()),
+    ]
+    : [];
+
+  const run = async () => {
+    let replayed = 0;
+    try {
+      const recording = typeof source === 'string' ? await loadRecording(source) : source;
+      const frames = recording.entries.filter(entry => entry.dir === 'in' && (includeStandby || !entry.standby));
+      log.info(`📼 ProtocolRecorder: Replaying ${frames.length} incoming frames${recording.label ? ` from "${recording.label}"` : ''} at ${speed}x`);
+
+      session.setReplayMode(true);
+      const startTime = now();
+      const firstT = frames.length > 0 ? frames[0].t : 0;
+      for (const frame of frames) {
+        // Scheduled against the start time rather than the previous frame, so delays do not add up
+        const waitMs = startTime + (frame.t - firstT) / speed - now();
+        if (waitMs > 0) {
+          await delay(waitMs);
+        }
+        if (stopped) break;
+
+        const parsed = parseFrame(decodeFrameData(frame));
+        if (!parsed.ok) {
+          log.warn(`ProtocolRecorder: Skipping undecodable frame at ${frame.t}ms: ${parsed.reason}`);
+          continue;
+        }
+        try {
+          session.handleReceivedMessage(parsed.message);
+        } catch (error) {
+          log.error(`ProtocolRecorder: Error handling replayed frame at ${frame.t}ms:`, error);
+        }
+        replayed++;
+      }
+    } finally {
+      session.setReplayMode(false);
+      unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+    log.info(`📼 ProtocolRecorder: Replay ${stopped ? 'stopped' : 'finished'} after ${replayed} frames`);
+    return replayed;
+  };
+
+  return {
+    done: run(),
+    stop: () => {
+      stopped = true;
+      if (playAudio) {
+        AudioOutputService.clearPlaybackQueue();
+      }
+    },
+  };
+};
+
+export { ProtocolRecorder, listRecordings, loadRecording, deleteRecording, replayRecording };
+
+export default {
+  ProtocolRecorder,
+  listRecordings,
+  loadRecording,
+  deleteRecording,
+  replayRecording,
+};
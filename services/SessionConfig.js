@@ -0,0 +1,328 @@
+// services/SessionConfig.js
+// Rule VIII: Session Configuration
+
+import { MODEL_NAME, BACKEND, VERTEX_PROJECT, VERTEX_LOCATION, VERTEX_MODEL_NAME } from '../config';
+
+const RESPONSE_MODALITIES = ['AUDIO', 'TEXT'];
+
+// Where the session runs; the transport builds the URL and auth for each (see Transport)
+export const BACKENDS = ['aiStudio', 'vertex'];
+
+// Allowed values for realtimeInputConfig, as named by the Live API
+const START_SENSITIVITIES = ['START_SENSITIVITY_HIGH', 'START_SENSITIVITY_LOW'];
+const END_SENSITIVITIES = ['END_SENSITIVITY_HIGH', 'END_SENSITIVITY_LOW'];
+const ACTIVITY_HANDLING = ['START_OF_ACTIVITY_INTERRUPTS', 'NO_INTERRUPTION'];
+const TURN_COVERAGE = ['TURN_INCLUDES_ONLY_ACTIVITY', 'TURN_INCLUDES_ALL_INPUT'];
+
+// Voice activity detection settings that only apply while automatic detection is on
+const DETECTION_KEYS = ['startOfSpeechSensitivity', 'endOfSpeechSensitivity', 'prefixPaddingMs', 'silenceDurationMs'];
+const REALTIME_INPUT_KEYS = [...DETECTION_KEYS, 'activityHandling', 'turnCoverage'];
+
+export const DEFAULT_SESSION_OPTIONS = {
+  systemInstruction: 'You are a helpful knowledge asisstant bot. Answer user questions in a cheerful way.',
+  generationConfig: {},       // { temperature, topP, maxOutputTokens }
+  speechConfig: {},           // { voiceName, languageCode }
+  responseModalities: ['AUDIO'],
+  pushToTalk: false,          // true: no server-side voice activity detection, the client sends activityStart/activityEnd
+  // Server-side voice activity detection. Unset fields use the server defaults:
+  //   startOfSpeechSensitivity  'START_SENSITIVITY_HIGH'   how readily speech is detected
+  //   endOfSpeechSensitivity    'END_SENSITIVITY_HIGH'     how readily a pause ends the turn
+  //   prefixPaddingMs           server-chosen              speech needed before start of speech is committed
+  //   silenceDurationMs         server-chosen              silence needed before end of speech is committed
+  //   activityHandling          'START_OF_ACTIVITY_INTERRUPTS'  or 'NO_INTERRUPTION' to let the model finish
+  //   turnCoverage              'TURN_INCLUDES_ONLY_ACTIVITY'   or 'TURN_INCLUDES_ALL_INPUT'
+  realtimeInputConfig: {},
+  // Tools run by the server: Google Search grounding and Python code execution
+  builtInTools: { googleSearch: false, codeExecution: false },
+  // { type: 'aiStudio' | 'vertex', project, location, model }. model is a bare id ('gemini-...') or a full
+  // model path; unset fields come from config.js. project and location only apply to Vertex AI.
+  backend: { type: BACKEND, project: VERTEX_PROJECT, location: VERTEX_LOCATION },
+};
+
+// Named voice activity profiles, applied with GeminiLiveSession.applyVadProfile()
+export const VAD_PROFILES = {
+  // Server defaults
+  standard: {},
+  // For people who pause mid-sentence: waits longer before deciding the user has finished
+  patientListener: {
+    endOfSpeechSensitivity: 'END_SENSITIVITY_LOW',
+    prefixPaddingMs: 100,
+    silenceDurationMs: 1500,
+  },
+  // Quick back-and-forth: replies start soon after the user stops talking
+  snappy: {
+    startOfSpeechSensitivity: 'START_SENSITIVITY_HIGH',
+    endOfSpeechSensitivity: 'END_SENSITIVITY_HIGH',
+    prefixPaddingMs: 20,
+    silenceDurationMs: 300,
+  },
+};
+
+const SESSION_OPTION_KEYS = Object.keys(DEFAULT_SESSION_OPTIONS);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkNumberInRange = (errors, name, value, min, max) => {
+  if (value === undefined) return;
+  if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+    errors.push(`${name} must be a number between ${min} and ${max}`);
+  }
+};
+
+const checkOneOf = (errors, name, value, allowedValues) => {
+  if (value !== undefined && !allowedValues.includes(value)) {
+    errors.push(`${name} must be one of: ${allowedValues.join(', ')}`);
+  }
+};
+
+const checkUnknownKeys = (errors, prefix, value, allowedKeys) => {
+  Object.keys(value).forEach((key) => {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`Unknown option ${prefix}${key}`);
+    }
+  });
+};
+
+/**
+ * Validates voice activity settings, on their own or as part of the session options.
+ * @param {Object} config - realtimeInputConfig options or a VAD profile
+ * @returns {string[]}
+ */
+export const validateRealtimeInputConfig = (config) => {
+  const errors = [];
+  if (!isPlainObject(config)) {
+    return ['realtimeInputConfig must be an object'];
+  }
+  checkUnknownKeys(errors, 'realtimeInputConfig.', config, REALTIME_INPUT_KEYS);
+  checkOneOf(errors, 'realtimeInputConfig.startOfSpeechSensitivity', config.startOfSpeechSensitivity, START_SENSITIVITIES);
+  checkOneOf(errors, 'realtimeInputConfig.endOfSpeechSensitivity', config.endOfSpeechSensitivity, END_SENSITIVITIES);
+  checkOneOf(errors, 'realtimeInputConfig.activityHandling', config.activityHandling, ACTIVITY_HANDLING);
+  checkOneOf(errors, 'realtimeInputConfig.turnCoverage', config.turnCoverage, TURN_COVERAGE);
+  ['prefixPaddingMs', 'silenceDurationMs'].forEach((key) => {
+    const value = config[key];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+      errors.push(`realtimeInputConfig.${key} must be a non-negative integer`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Validates session options before they are turned into a setup message.
+ * @param {Object} options - Partial session options
+ * @returns {string[]} - Human-readable problems, empty when the options are valid
+ */
+export const validateSessionOptions = (options = {}) => {
+  const errors = [];
+  if (!isPlainObject(options)) {
+    return ['Session options must be an object'];
+  }
+  checkUnknownKeys(errors, '', options, SESSION_OPTION_KEYS);
+
+  const { systemInstruction, generationConfig, speechConfig, responseModalities, pushToTalk, realtimeInputConfig, builtInTools, backend } = options;
+
+  if (systemInstruction !== undefined && systemInstruction !== null && typeof systemInstruction !== 'string') {
+    errors.push('systemInstruction must be a string');
+  }
+
+  if (generationConfig !== undefined) {
+    if (!isPlainObject(generationConfig)) {
+      errors.push('generationConfig must be an object');
+    } else {
+      checkUnknownKeys(errors, 'generationConfig.', generationConfig, ['temperature', 'topP', 'maxOutputTokens']);
+      checkNumberInRange(errors, 'generationConfig.temperature', generationConfig.temperature, 0, 2);
+      checkNumberInRange(errors, 'generationConfig.topP', generationConfig.topP, 0, 1);
+      const { maxOutputTokens } = generationConfig;
+      if (maxOutputTokens !== undefined && !(Number.isInteger(maxOutputTokens) && maxOutputTokens > 0)) {
+        errors.push('generationConfig.maxOutputTokens must be a positive integer');
+      }
+    }
+  }
+
+  if (speechConfig !== undefined) {
+    if (!isPlainObject(speechConfig)) {
+      errors.push('speechConfig must be an object');
+    } else {
+      checkUnknownKeys(errors, 'speechConfig.', speechConfig, ['voiceName', 'languageCode']);
+      const { voiceName, languageCode } = speechConfig;
+      if (voiceName !== undefined && (typeof voiceName !== 'string' || !voiceName.trim())) {
+        errors.push('speechConfig.voiceName must be a non-empty string');
+      }
+      // BCP-47 tag such as "en-US" or "de-DE"
+      if (languageCode !== undefined && !(typeof languageCode === 'string' && /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/.test(languageCode))) {
+        errors.push('speechConfig.languageCode must be a BCP-47 language code such as "en-US"');
+      }
+    }
+  }
+
+  if (responseModalities !== undefined) {
+    // The Live API accepts exactly one response modality per session
+    if (!Array.isArray(responseModalities) || responseModalities.length !== 1) {
+      errors.push('responseModalities must be an array with exactly one modality');
+    } else if (!RESPONSE_MODALITIES.includes(responseModalities[0])) {
+      errors.push(`responseModalities must contain one of: ${RESPONSE_MODALITIES.join(', ')}`);
+    }
+  }
+
+  if (pushToTalk !== undefined && typeof pushToTalk !== 'boolean') {
+    errors.push('pushToTalk must be a boolean');
+  }
+
+  if (realtimeInputConfig !== undefined) {
+    errors.push(...validateRealtimeInputConfig(realtimeInputConfig));
+  }
+
+  if (builtInTools !== undefined) {
+    if (!isPlainObject(builtInTools)) {
+      errors.push('builtInTools must be an object');
+    } else {
+      checkUnknownKeys(errors, 'builtInTools.', builtInTools, ['googleSearch', 'codeExecution']);
+      ['googleSearch', 'codeExecution'].forEach((key) => {
+        if (builtInTools[key] !== undefined && typeof builtInTools[key] !== 'boolean') {
+          errors.push(`builtInTools.${key} must be a boolean`);
+        }
+      });
+    }
+  }
+
+  if (backend !== undefined) {
+    if (!isPlainObject(backend)) {
+      errors.push('backend must be an object');
+    } else {
+      checkUnknownKeys(errors, 'backend.', backend, ['type', 'project', 'location', 'model']);
+      checkOneOf(errors, 'backend.type', backend.type, BACKENDS);
+      ['project', 'location', 'model'].forEach((key) => {
+        if (backend[key] !== undefined && backend[key] !== null && (typeof backend[key] !== 'string' || !backend[key].trim())) {
+          errors.push(`backend.${key} must be a non-empty string`);
+        }
+      });
+      const type = backend.type || DEFAULT_SESSION_OPTIONS.backend.type;
+      if (type === 'vertex' && !(backend.project || DEFAULT_SESSION_OPTIONS.backend.project)) {
+        errors.push('backend.project is required for Vertex AI (or set VERTEX_PROJECT in config.js)');
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Merges options over the defaults (nested configs are merged one level deep).
+ * @param {Object} options
+ * @returns {Object}
+ */
+export const resolveSessionOptions = (options = {}) => ({
+  ...DEFAULT_SESSION_OPTIONS,
+  ...options,
+  generationConfig: { ...DEFAULT_SESSION_OPTIONS.generationConfig, ...options.generationConfig },
+  speechConfig: { ...DEFAULT_SESSION_OPTIONS.speechConfig, ...options.speechConfig },
+  realtimeInputConfig: { ...DEFAULT_SESSION_OPTIONS.realtimeInputConfig, ...options.realtimeInputConfig },
+  builtInTools: { ...DEFAULT_SESSION_OPTIONS.builtInTools, ...options.builtInTools },
+  backend: { ...DEFAULT_SESSION_OPTIONS.backend, ...options.backend },
+});
+
+/**
+ * The model name the backend expects in setup:
+ *   aiStudio  models/{model}
+ *   vertex    projects/{project}/locations/{location}/publishers/google/models/{model}
+ * A model that is already a full path is used as is.
+ * @param {Object} backend - Resolved backend option
+ * @returns {string}
+ */
+export const resolveModelPath = ({ type, project, location, model }) => {
+  if (type === 'vertex') {
+    const id = model || VERTEX_MODEL_NAME;
+    return id.startsWith('projects/') ? id : `projects/${project}/locations/${location}/publishers/google/models/${id.replace(/^models\//, '')}`;
+  }
+  const id = model || MODEL_NAME;
+  return id.startsWith('models/') ? id : `models/${id}`;
+};
+
+// Nests the flat realtimeInputConfig options the way the API expects; null when nothing is set
+const buildRealtimeInputConfig = ({ pushToTalk, realtimeInputConfig = {} }) => {
+  const config = {};
+
+  if (pushToTalk) {
+    // Push-to-talk: the server waits for explicit activity signals instead of detecting speech
+    config.automaticActivityDetection = { disabled: true };
+  } else {
+    const detection = {};
+    DETECTION_KEYS.forEach((key) => {
+      if (realtimeInputConfig[key] !== undefined) detection[key] = realtimeInputConfig[key];
+    });
+    if (Object.keys(detection).length > 0) {
+      config.automaticActivityDetection = detection;
+    }
+  }
+
+  if (realtimeInputConfig.activityHandling) config.activityHandling = realtimeInputConfig.activityHandling;
+  if (realtimeInputConfig.turnCoverage) config.turnCoverage = realtimeInputConfig.turnCoverage;
+
+  return Object.keys(config).length > 0 ? config : null;
+};
+
+/**
+ * Builds the `setup` payload from resolved session options.
+ * @param {Object} options - Output of resolveSessionOptions
+ * @returns {Object}
+ */
+export const buildSetup = (options) => {
+  const { systemInstruction, generationConfig, speechConfig, responseModalities, builtInTools, backend } = options;
+
+  // Everything but the model path is the same for both backends
+  const setup = {
+    model: resolveModelPath(backend),
+    generationConfig: {
+      ...generationConfig,
+      responseModalities,
+    },
+    inputAudioTranscription: {},
+  };
+
+  // Output transcription only applies when the model answers with audio
+  if (responseModalities.includes('AUDIO')) {
+    setup.outputAudioTranscription = {};
+  }
+
+  if (speechConfig.voiceName || speechConfig.languageCode) {
+    setup.generationConfig.speechConfig = {};
+    if (speechConfig.voiceName) {
+      setup.generationConfig.speechConfig.voiceConfig = {
+        prebuiltVoiceConfig: { voiceName: speechConfig.voiceName },
+      };
+    }
+    if (speechConfig.languageCode) {
+      setup.generationConfig.speechConfig.languageCode = speechConfig.languageCode;
+    }
+  }
+
+  // Function declarations for app-side tools are added to this list by the session
+  const tools = [];
+  if (builtInTools.googleSearch) tools.push({ googleSearch: {} });
+  if (builtInTools.codeExecution) tools.push({ codeExecution: {} });
+  if (tools.length > 0) {
+    setup.tools = tools;
+  }
+
+  const realtimeInputConfig = buildRealtimeInputConfig(options);
+  if (realtimeInputConfig) {
+    setup.realtimeInputConfig = realtimeInputConfig;
+  }
+
+  if (systemInstruction) {
+    setup.systemInstruction = { parts: [{ text: systemInstruction }] };
+  }
+
+  return setup;
+};
+
+export default {
+  BACKENDS,
+  DEFAULT_SESSION_OPTIONS,
+  VAD_PROFILES,
+  validateSessionOptions,
+  validateRealtimeInputConfig,
+  resolveSessionOptions,
+  resolveModelPath,
+  buildSetup,
+};
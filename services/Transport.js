@@ -0,0 +1,97 @@
+// services/Transport.js
+// Rule XIII: Transport - where and how a session's WebSocket connects
+
+import {
+  WEBSOCKET_SCHEME,
+  WEBSOCKET_HOST,
+  WEBSOCKET_PATH,
+  WEBSOCKET_TOKEN_PATH,
+  RELAY_URL,
+  USE_DEV_SERVER,
+  DEV_SERVER_HOST,
+} from '../config';
+import CredentialService from './CredentialService';
+
+/**
+ * A transport is an object with:
+ *   type       a name for logs, e.g. 'direct' or 'relay'
+ *   resolve({ standby, backend })  async, returns { url, protocols?, headers? } for the next WebSocket;
+ *              backend is the session's resolved backend option (see SessionConfig)
+ * Sessions call resolve() for every socket they open (connect, reconnect, GoAway migration),
+ * so short-lived tokens can be fetched each time.
+ */
+
+const VERTEX_PATH = '/ws/google.cloud.aiplatform.v1beta1.LlmBidiService/BidiGenerateContent';
+
+// Headers and protocols may be given as values or as (async) functions called per connection
+const evaluate = async (option) => (typeof option === 'function' ? option() : option);
+
+// AI Studio: the credential goes in the query. Ephemeral tokens are only accepted on the constrained endpoint.
+const aiStudioConnection = (credential) => {
+  if (credential.type === 'token') {
+    return { url: `${WEBSOCKET_SCHEME}://${WEBSOCKET_HOST}${WEBSOCKET_TOKEN_PATH}?access_token=${encodeURIComponent(credential.value)}` };
+  }
+  if (credential.type === 'apiKey') {
+    return { url: `${WEBSOCKET_SCHEME}://${WEBSOCKET_HOST}${WEBSOCKET_PATH}?key=${encodeURIComponent(credential.value)}` };
+  }
+  throw new Error('Transport: AI Studio needs an API key or an ephemeral token, not an access token');
+};
+
+// Vertex AI: a regional host and an OAuth access token in the Authorization header
+const vertexConnection = (credential, { location }) => {
+  if (credential.type !== 'accessToken') {
+    throw new Error('Transport: Vertex AI needs an OAuth access token, set a credential provider that returns { accessToken, expiresAt }');
+  }
+  const host = USE_DEV_SERVER ? DEV_SERVER_HOST : `${location === 'global' ? '' : `${location}-`}aiplatform.googleapis.com`;
+  return {
+    url: `${WEBSOCKET_SCHEME}://${host}${VERTEX_PATH}`,
+    headers: { Authorization: `Bearer ${credential.value}` },
+  };
+};
+
+/**
+ * Connects straight to the backend with a credential from CredentialService.
+ * Custom headers only work on iOS and Android, so Vertex AI in a browser needs a relay.
+ */
+export const createDirectTransport = () => ({
+  type: 'direct',
+  resolve: async ({ backend } = {}) => {
+    const credential = await CredentialService.getCredential();
+    return backend?.type === 'vertex' ? vertexConnection(credential, backend) : aiStudioConnection(credential);
+  },
+});
+
+/**
+ * Connects to your own relay, which authenticates the app and forwards frames to the Live API
+ * with the real key (see relay-server/). No Gemini credential is used on the device.
+ * Custom headers work on iOS and Android; browsers ignore them, so use protocols there.
+ * @param {Object} options
+ * @param {string} options.url - ws:// or wss:// URL of the relay
+ * @param {Object|Function} [options.headers] - Headers, or a function returning them (e.g. a fresh app session token)
+ * @param {string|string[]|Function} [options.protocols] - WebSocket subprotocols, or a function returning them
+ */
+export const createRelayTransport = ({ url, headers, protocols } = {}) => {
+  if (typeof url !== 'string' || !/^wss?:\/\//.test(url)) {
+    throw new Error('Transport: A relay transport needs a ws:// or wss:// url');
+  }
+  return {
+    type: 'relay',
+    resolve: async () => ({
+      url,
+      protocols: await evaluate(protocols),
+      headers: await evaluate(headers),
+    }),
+  };
+};
+
+// The transport sessions use unless one is passed in: the relay when RELAY_URL is set, otherwise direct
+export const createDefaultTransport = () => (RELAY_URL ? createRelayTransport({ url: RELAY_URL }) : createDirectTransport());
+
+export const isTransport = (transport) => !!transport && typeof transport.resolve === 'function';
+
+export default {
+  createDirectTransport,
+  createRelayTransport,
+  createDefaultTransport,
+  isTransport,
+};
@@ -0,0 +1,156 @@
+// services/UsageTracker.js
+// Token accounting from usageMetadata, per turn and per session
+
+import { USAGE_PRICE_TABLE } from '../config';
+
+const emptyUsage = () => ({
+  promptTokens: 0,
+  responseTokens: 0,
+  cachedTokens: 0,
+  toolUsePromptTokens: 0,
+  thoughtsTokens: 0,
+  totalTokens: 0,
+  prompt: {},   // tokens by modality, e.g. { TEXT: 120, AUDIO: 900 }
+  response: {},
+});
+
+// Sums [{ modality, tokenCount }] into { MODALITY: tokens }
+const countByModality = (details) => (details || []).reduce((counts, { modality, tokenCount }) => {
+  const key = modality || 'MODALITY_UNSPECIFIED';
+  counts[key] = (counts[key] || 0) + (tokenCount || 0);
+  return counts;
+}, {});
+
+const addCounts = (target, source, sign = 1) => {
+  Object.entries(source).forEach(([modality, tokens]) => {
+    target[modality] = (target[modality] || 0) + sign * tokens;
+  });
+};
+
+const sumValues = (counts) => Object.values(counts).reduce((sum, tokens) => sum + tokens, 0);
+
+// Maps a UsageMetadata message onto the usage shape above
+const normalizeUsage = (usageMetadata) => ({
+  promptTokens: usageMetadata.promptTokenCount || 0,
+  responseTokens: usageMetadata.responseTokenCount || 0,
+  cachedTokens: usageMetadata.cachedContentTokenCount || 0,
+  toolUsePromptTokens: usageMetadata.toolUsePromptTokenCount || 0,
+  thoughtsTokens: usageMetadata.thoughtsTokenCount || 0,
+  totalTokens: usageMetadata.totalTokenCount || 0,
+  prompt: countByModality(usageMetadata.promptTokensDetails),
+  response: countByModality(usageMetadata.responseTokensDetails),
+});
+
+// sign -1 takes a usage record back out of a total
+const addUsage = (target, usage, sign = 1) => {
+  ['promptTokens', 'responseTokens', 'cachedTokens', 'toolUsePromptTokens', 'thoughtsTokens', 'totalTokens'].forEach((key) => {
+    target[key] += sign * usage[key];
+  });
+  addCounts(target.prompt, usage.prompt, sign);
+  addCounts(target.response, usage.response, sign);
+};
+
+// Prices tokens by modality; tokens without a modality breakdown are priced as TEXT
+const priceTokens = (byModality, totalTokens, rates = {}) => {
+  const unattributed = Math.max(0, totalTokens - sumValues(byModality));
+  const cost = Object.entries(byModality).reduce((sum, [modality, tokens]) => sum + tokens * (rates[modality] ?? rates.TEXT ?? 0), 0);
+  return (cost + unattributed * (rates.TEXT || 0)) / 1e6;
+};
+
+/**
+ * Estimates the cost of a usage record from a price table (per million tokens).
+ * Tool-use prompt tokens count as text input, thinking tokens as text output.
+ * @param {Object} usage
+ * @param {Object} [priceTable=USAGE_PRICE_TABLE]
+ * @returns {number}
+ */
+export const estimateCost = (usage, priceTable = USAGE_PRICE_TABLE) => {
+  const { input = {}, output = {} } = priceTable;
+  return priceTokens(usage.prompt, usage.promptTokens, input)
+    + usage.toolUsePromptTokens * (input.TEXT || 0) / 1e6
+    + priceTokens(usage.response, usage.responseTokens, output)
+    + usage.thoughtsTokens * (output.TEXT || 0) / 1e6;
+};
+
+/**
+ * Collects usageMetadata for one conversation.
+ * The server repeats usageMetadata as a turn progresses, each time with the counts for the
+ * turn so far, so the latest report is kept until the turn completes. A report that arrives
+ * on its own after turnComplete is the final count of the turn that just ended, which may have
+ * been closed with no usage yet.
+ */
+class UsageTracker {
+  constructor(priceTable = USAGE_PRICE_TABLE) {
+    this.priceTable = priceTable;
+    this.reset();
+  }
+
+  reset() {
+    this.turns = [];
+    this.currentTurn = null;
+    this.sessionUsage = emptyUsage();
+    this.awaitingFinalUsage = false; // The last completed turn may still get its final count
+  }
+
+  /**
+   * Records the latest usageMetadata of the turn in progress.
+   * @param {Object} usageMetadata
+   * @param {Object} [options]
+   * @param {boolean} [options.standalone=false] - The report came without other content. While the last
+   *   completed turn awaits its final count, it replaces that turn's counts instead of opening a new turn.
+   */
+  record(usageMetadata, { standalone = false } = {}) {
+    const usage = normalizeUsage(usageMetadata);
+    const lastTurn = this.turns[this.turns.length - 1];
+    if (standalone && !this.currentTurn && this.awaitingFinalUsage && lastTurn) {
+      addUsage(this.sessionUsage, lastTurn, -1);
+      Object.assign(lastTurn, usage, { estimatedCost: estimateCost(usage, this.priceTable) });
+      addUsage(this.sessionUsage, lastTurn);
+      this.awaitingFinalUsage = false;
+      return;
+    }
+    this.awaitingFinalUsage = false;
+    this.currentTurn = usage;
+  }
+
+  // Model content of a new turn arrived, so the last completed turn's count is final
+  startTurn() {
+    this.awaitingFinalUsage = false;
+  }
+
+  // Closes the turn in progress and adds it to the session totals; without usage so far, the turn
+  // is kept with zero counts until its final report arrives
+  completeTurn() {
+    const usage = this.currentTurn || emptyUsage();
+    this.turns.push({ ...usage, estimatedCost: estimateCost(usage, this.priceTable), completedAt: Date.now() });
+    addUsage(this.sessionUsage, usage);
+    this.currentTurn = null;
+    this.awaitingFinalUsage = true;
+  }
+
+  setPriceTable(priceTable) {
+    this.priceTable = priceTable;
+    this.turns.forEach((turn) => {
+      turn.estimatedCost = estimateCost(turn, priceTable);
+    });
+  }
+
+  /**
+   * @returns {Object} - { turns, currentTurn, totals, currency }; totals include the turn in progress
+   */
+  getStats() {
+    const totals = emptyUsage();
+    addUsage(totals, this.sessionUsage);
+    if (this.currentTurn) {
+      addUsage(totals, this.currentTurn);
+    }
+    return {
+      turns: this.turns.map(turn => ({ ...turn })),
+      currentTurn: this.currentTurn ? { ...this.currentTurn, estimatedCost: estimateCost(this.currentTurn, this.priceTable) } : null,
+      totals: { ...totals, estimatedCost: estimateCost(totals, this.priceTable) },
+      currency: this.priceTable.currency || 'USD',
+    };
+  }
+}
+
+export default UsageTracker;
@@ -0,0 +1,219 @@
+// services/VideoInputService.js
+// Rule IX: Video Input Service
+
+import { Image } from 'react-native';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as ImagePicker from 'expo-image-picker';
+import * as FileSystem from 'expo-file-system';
+import { VIDEO_MAX_FRAME_RATE, VIDEO_MAX_DIMENSION, VIDEO_JPEG_QUALITY } from '../config';
+import WebSocketService from './WebSocketService';
+import { createLogger } from './Logger';
+
+const log = createLogger('input');
+
+// State variables
+let maxFrameRate = VIDEO_MAX_FRAME_RATE;
+let lastFrameSentAt = 0;
+let pendingFrame = null; // Latest frame waiting for the rate limit: { frame, resolve }
+let pendingTimer = null;
+let sequenceId = 0; // Bumped to cancel a running image sequence
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const getImageSize = (uri) => new Promise((resolve, reject) => {
+  Image.getSize(uri, (width, height) => resolve({ width, height }), reject);
+});
+
+// ImageManipulator reads from URIs, so Base64 sources are written to the cache first
+const _toUri = async (source) => {
+  if (typeof source === 'string') {
+    return { uri: source, tempFile: null };
+  }
+  if (source && source.uri) {
+    return { uri: source.uri, tempFile: null };
+  }
+  if (source && source.base64) {
+    const extension = source.mimeType === 'image/png' ? 'png' : 'jpg';
+    const tempFile = `${FileSystem.cacheDirectory}frame_${Date.now()}.${extension}`;
+    await FileSystem.writeAsStringAsync(tempFile, source.base64, { encoding: FileSystem.EncodingType.Base64 });
+    return { uri: tempFile, tempFile };
+  }
+  throw new Error('VideoInputService: Image source must be a URI, { uri } or { base64, mimeType }');
+};
+
+/**
+ * Scales an image down so its longest side fits maxDimension and encodes it as Base64.
+ * @param {string|Object} source - URI, { uri }, or { base64, mimeType }
+ * @param {Object} [options]
+ * @param {number} [options.maxDimension=VIDEO_MAX_DIMENSION]
+ * @param {number} [options.quality=VIDEO_JPEG_QUALITY] - JPEG quality, 0-1
+ * @param {string} [options.format='jpeg'] - 'jpeg' or 'png'
+ * @returns {Promise<{data: string, mimeType: string, width: number, height: number}>}
+ */
+const prepareFrame = async (source, { maxDimension = VIDEO_MAX_DIMENSION, quality = VIDEO_JPEG_QUALITY, format = 'jpeg' } = {}) => {
+  const { uri, tempFile } = await _toUri(source);
+  try {
+    const { width, height } = await getImageSize(uri);
+    const actions = [];
+    if (Math.max(width, height) > maxDimension) {
+      // Resizing one side keeps the aspect ratio
+      actions.push({ resize: width >= height ? { width: maxDimension } : { height: maxDimension } });
+    }
+
+    const result = await ImageManipulator.manipulateAsync(uri, actions, {
+      compress: quality,
+      format: format === 'png' ? ImageManipulator.SaveFormat.PNG : ImageManipulator.SaveFormat.JPEG,
+      base64: true,
+    });
+    // Only the Base64 data is needed, not the file written alongside it
+    FileSystem.deleteAsync(result.uri, { idempotent: true }).catch(() => {});
+
+    log.debug(`🖼️ VideoInputService: Prepared frame ${width}x${height} -> ${result.width}x${result.height}`);
+    return {
+      data: result.base64,
+      mimeType: format === 'png' ? 'image/png' : 'image/jpeg',
+      width: result.width,
+      height: result.height,
+    };
+  } finally {
+    if (tempFile) {
+      FileSystem.deleteAsync(tempFile, { idempotent: true }).catch(() => {});
+    }
+  }
+};
+
+const _sendFrame = (frame) => {
+  if (!WebSocketService.isConnected() || !WebSocketService.isSetupComplete()) {
+    log.warn('VideoInputService: WebSocket not ready, dropping frame');
+    return false;
+  }
+  const sent = WebSocketService.sendVideoFrame(frame.data, frame.mimeType);
+  if (sent) {
+    lastFrameSentAt = Date.now();
+  }
+  return sent;
+};
+
+const _flushPendingFrame = () => {
+  pendingTimer = null;
+  if (!pendingFrame) return;
+  const { frame, resolve } = pendingFrame;
+  pendingFrame = null;
+  resolve(_sendFrame(frame));
+};
+
+// Sends now if the rate limit allows, otherwise holds the frame; a newer frame replaces a held one
+const _queueFrame = (frame) => {
+  const waitMs = lastFrameSentAt + 1000 / maxFrameRate - Date.now();
+  if (waitMs <= 0 && !pendingFrame) {
+    return Promise.resolve(_sendFrame(frame));
+  }
+
+  if (pendingFrame) {
+    log.debug('VideoInputService: Frame rate limit reached, replacing the waiting frame');
+    pendingFrame.resolve(false);
+  }
+  return new Promise((resolve) => {
+    pendingFrame = { frame, resolve };
+    if (!pendingTimer) {
+      pendingTimer = setTimeout(_flushPendingFrame, Math.max(0, waitMs));
+    }
+  });
+};
+
+/**
+ * Resizes an image and sends it as a realtimeInput.video frame, respecting the frame rate limit.
+ * @param {string|Object} source - URI, { uri }, or { base64, mimeType }
+ * @param {Object} [options] - See prepareFrame
+ * @returns {Promise<boolean>} - False if the frame was dropped
+ */
+const sendImage = async (source, options) => {
+  try {
+    const frame = await prepareFrame(source, options);
+    return await _queueFrame(frame);
+  } catch (error) {
+    log.error('VideoInputService: Error sending image:', error);
+    return false;
+  }
+};
+
+/**
+ * Lets the user pick a photo from the library and sends it.
+ * @returns {Promise<boolean>} - False if nothing was picked or sending failed
+ */
+const pickAndSendImage = async (options) => {
+  try {
+    const result = await ImagePicker.launchImageLibraryAsync({ mediaTypes: ['images'], quality: 1 });
+    if (result.canceled || !result.assets || result.assets.length === 0) {
+      log.info('VideoInputService: Image picker cancelled');
+      return false;
+    }
+    return await sendImage({ uri: result.assets[0].uri }, options);
+  } catch (error) {
+    log.error('VideoInputService: Error picking image:', error);
+    return false;
+  }
+};
+
+/**
+ * Streams a sequence of frames, paced at frameRate (capped by the configured maximum).
+ * Starting a new sequence or calling stopImageSequence() ends the previous one.
+ * @param {Iterable|AsyncIterable} sources - Image sources, see sendImage
+ * @param {Object} [options] - prepareFrame options plus frameRate
+ * @returns {Promise<number>} - Number of frames sent
+ */
+const sendImageSequence = async (sources, { frameRate = maxFrameRate, ...frameOptions } = {}) => {
+  const id = ++sequenceId;
+  const intervalMs = 1000 / Math.min(frameRate, maxFrameRate);
+  let framesSent = 0;
+
+  for await (const source of sources) {
+    if (id !== sequenceId) break;
+    try {
+      const frame = await prepareFrame(source, frameOptions);
+      const waitMs = lastFrameSentAt + intervalMs - Date.now();
+      if (waitMs > 0) {
+        await delay(waitMs);
+      }
+      if (id !== sequenceId) break;
+      if (_sendFrame(frame)) framesSent++;
+    } catch (error) {
+      log.error('VideoInputService: Error sending frame in sequence, skipping it:', error);
+    }
+  }
+
+  log.info(`VideoInputService: Image sequence finished, ${framesSent} frames sent`);
+  return framesSent;
+};
+
+// Ends a running sequence and drops a frame still waiting for the rate limit
+const stopImageSequence = () => {
+  sequenceId++;
+  if (pendingTimer) {
+    clearTimeout(pendingTimer);
+    pendingTimer = null;
+  }
+  if (pendingFrame) {
+    pendingFrame.resolve(false);
+    pendingFrame = null;
+  }
+};
+
+const setMaxFrameRate = (frameRate) => {
+  if (typeof frameRate !== 'number' || !(frameRate > 0)) {
+    log.error('VideoInputService: Frame rate must be a positive number');
+    return false;
+  }
+  maxFrameRate = frameRate;
+  log.info(`VideoInputService: Max frame rate set to ${frameRate} fps`);
+  return true;
+};
+
+export default {
+  prepareFrame,
+  sendImage,
+  pickAndSendImage,
+  sendImageSequence,
+  stopImageSequence,
+  setMaxFrameRate,
+};
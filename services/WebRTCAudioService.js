@@ -4,6 +4,9 @@
 import { RTCPeerConnection, mediaDevices } from 'react-native-webrtc';
 import { Platform } from 'react-native';
 import { AEC_ENABLED, AGC_ENABLED, NS_ENABLED } from '../config';
+import { createLogger } from './Logger';
+
+const log = createLogger('webrtc');
 
 // State variables
 let webrtcInitialized = false;
@@ -18,12 +21,12 @@ let processingStarted = false;
  */
 const initialize = async () => {
   if (webrtcInitialized) {
-    console.log('WebRTCAudioService: Already initialized');
+    log.info('WebRTCAudioService: Already initialized');
     return true;
   }
 
   try {
-    console.log('WebRTCAudioService: Initializing WebRTC audio processing...');
+    log.info('WebRTCAudioService: Initializing WebRTC audio processing...');
     
     // Configure constraints to enable echo cancellation
     const constraints = {
@@ -49,11 +52,11 @@ const initialize = async () => {
     // Create a loopback peer connection to activate audio processing
     await createLoopbackConnection();
     
-    console.log('WebRTCAudioService: WebRTC audio processing initialized successfully');
+    log.info('WebRTCAudioService: WebRTC audio processing initialized successfully');
     webrtcInitialized = true;
     return true;
   } catch (error) {
-    console.error('WebRTCAudioService: Failed to initialize WebRTC audio processing:', error);
+    log.error('WebRTCAudioService: Failed to initialize WebRTC audio processing:', error);
     return false;
   }
 };
@@ -132,9 +135,9 @@ const createLoopbackConnection = async () => {
       
       try {
         await peerConnection.setRemoteDescription(answer);
-        console.log('WebRTCAudioService: Remote description set successfully');
+        log.info('WebRTCAudioService: Remote description set successfully');
       } catch (setRemoteError) {
-        console.error('WebRTCAudioService: Error setting remote description:', setRemoteError);
+        log.error('WebRTCAudioService: Error setting remote description:', setRemoteError);
         
         // If that fails, try a simpler approach with a new RTCSessionDescription
         try {
@@ -149,21 +152,21 @@ const createLoopbackConnection = async () => {
           };
           
           await peerConnection.setRemoteDescription(simpleAnswer);
-          console.log('WebRTCAudioService: Remote description set with simplified SDP');
+          log.info('WebRTCAudioService: Remote description set with simplified SDP');
         } catch (err) {
           // If even that fails, we'll have to avoid the loopback approach
-          console.error('WebRTCAudioService: Failed to set simplified remote description:', err);
+          log.error('WebRTCAudioService: Failed to set simplified remote description:', err);
           throw new Error('Failed to create WebRTC loopback: ' + err.message);
         }
       }
       
-      console.log('WebRTCAudioService: Loopback connection established to activate audio processing');
+      log.info('WebRTCAudioService: Loopback connection established to activate audio processing');
       processingStarted = true;
     } else {
-      console.warn('WebRTCAudioService: No local stream available for loopback connection');
+      log.warn('WebRTCAudioService: No local stream available for loopback connection');
     }
   } catch (error) {
-    console.error('WebRTCAudioService: Error creating loopback connection:', error);
+    log.error('WebRTCAudioService: Error creating loopback connection:', error);
   }
 };
 
@@ -183,7 +186,7 @@ const startAudioProcessing = async () => {
     
     // If processing is already started, nothing to do
     if (processingStarted) {
-      console.log('WebRTCAudioService: Audio processing already active');
+      log.info('WebRTCAudioService: Audio processing already active');
       return true;
     }
     
@@ -192,10 +195,10 @@ const startAudioProcessing = async () => {
       await createLoopbackConnection();
     }
     
-    console.log('WebRTCAudioService: Audio processing with AEC started');
+    log.info('WebRTCAudioService: Audio processing with AEC started');
     return true;
   } catch (error) {
-    console.error('WebRTCAudioService: Error starting audio processing:', error);
+    log.error('WebRTCAudioService: Error starting audio processing:', error);
     return false;
   }
 };
@@ -206,7 +209,7 @@ const startAudioProcessing = async () => {
  */
 const stopAudioProcessing = async () => {
   try {
-    console.log('WebRTCAudioService: Stopping audio processing...');
+    log.info('WebRTCAudioService: Stopping audio processing...');
     
     if (peerConnection) {
       // Close the peer connection
@@ -223,9 +226,9 @@ const stopAudioProcessing = async () => {
     processingStarted = false;
     webrtcInitialized = false;
     
-    console.log('WebRTCAudioService: Audio processing stopped and resources released');
+    log.info('WebRTCAudioService: Audio processing stopped and resources released');
   } catch (error) {
-    console.error('WebRTCAudioService: Error stopping audio processing:', error);
+    log.error('WebRTCAudioService: Error stopping audio processing:', error);
   }
 };
 